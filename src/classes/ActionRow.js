@@ -0,0 +1,19 @@
+const Component = require("./Component");
+
+/**
+ * A row of buttons or a select menu (component type 1)
+ * @extends Component
+ */
+class ActionRow extends Component {
+  /**
+   * Create a new ActionRow instance
+   * @param {object} data - Raw component data
+   * @param {Array<Component>} [components=[]] - The row's components, already built
+   */
+  constructor(data, components = []) {
+    super(data);
+    this.components = components;
+  }
+}
+
+module.exports = ActionRow;
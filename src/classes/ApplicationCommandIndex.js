@@ -0,0 +1,149 @@
+// Application command option types that nest other options
+const SUB_COMMAND = 1;
+const SUB_COMMAND_GROUP = 2;
+
+/**
+ * The application commands available in a scope (a guild, a DM channel or the user's
+ * installed apps) and the applications they belong to, as returned by the
+ * application command index endpoints
+ */
+class ApplicationCommandIndex {
+  /**
+   * Create a new ApplicationCommandIndex instance
+   * @param {object} data - Raw index data: `{ applications, application_commands, version }`
+   * @param {object} [scope={}] - Where the index was fetched from
+   * @param {string} [scope.guildId] - The guild, for guild indexes
+   * @param {string} [scope.channelId] - The channel, for DM channel indexes
+   */
+  constructor(data, scope = {}) {
+    this.data = data;
+    this.applications = data.applications || [];
+    this.commands = data.application_commands || [];
+    this.version = data.version || null;
+    this.guildId = scope.guildId || null;
+    this.channelId = scope.channelId || null;
+    this.fetchedAt = Date.now();
+  }
+
+  /**
+   * The cache key of this index in {@link RestManager}: the guild ID, `"channel:<id>"`
+   * or `"@me"` for the user's installed apps
+   * @type {string}
+   * @readonly
+   */
+  get scope() {
+    if (this.guildId) return this.guildId;
+    return this.channelId ? `channel:${this.channelId}` : "@me";
+  }
+
+  /**
+   * Find an application by ID, or by name (case-insensitive)
+   * @param {string} idOrName - The application ID or name
+   * @returns {object|null} The raw application, or null
+   */
+  getApplication(idOrName) {
+    return (
+      this.applications.find((application) => application.id === idOrName) ||
+      this.applications.find(
+        (application) =>
+          application.name &&
+          application.name.toLowerCase() === String(idOrName).toLowerCase(),
+      ) ||
+      null
+    );
+  }
+
+  /**
+   * Find a command by ID, or by name
+   * @param {string} idOrName - The command ID or name
+   * @param {object} [options={}] - Lookup options
+   * @param {string} [options.application] - Only commands of this application (ID or name)
+   * @param {number} [options.type=1] - Command type: 1 for slash, 2 for user, 3 for message commands
+   * @returns {object|null} The raw command, or null
+   */
+  getCommand(idOrName, options = {}) {
+    return (
+      this.commands.find((command) => command.id === idOrName) ||
+      this.filter(options).find((command) => command.name === idOrName) ||
+      null
+    );
+  }
+
+  /**
+   * Search commands by name, like the client's command picker: names starting with the
+   * query come first, then names containing it
+   * @param {string} [query=""] - Part of the command name (case-insensitive)
+   * @param {object} [options={}] - Search options
+   * @param {string} [options.application] - Only commands of this application (ID or name)
+   * @param {number} [options.type=1] - Command type: 1 for slash, 2 for user, 3 for message commands
+   * @param {number} [options.limit=Infinity] - Return at most this many commands
+   * @returns {Array<object>} The matching raw commands
+   */
+  search(query = "", options = {}) {
+    const { limit = Infinity } = options;
+    const needle = query.toLowerCase();
+    const candidates = this.filter(options);
+    const starting = candidates.filter((command) =>
+      command.name.toLowerCase().startsWith(needle),
+    );
+    const containing = candidates.filter(
+      (command) =>
+        !starting.includes(command) &&
+        command.name.toLowerCase().includes(needle),
+    );
+    return [...starting, ...containing].slice(0, limit);
+  }
+
+  /**
+   * Resolve a command line such as `"config set"` to a command and its option schema
+   * @param {string} input - The command name, followed by the subcommand group and/or subcommand
+   * @param {string} [application] - The application (ID or name) the command belongs to
+   * @returns {{application: object|null, command: object, path: Array<string>, options: Array<object>}|null}
+   * The command, the subcommand path and the options of the deepest subcommand (its own
+   * subcommands if the path stops at a group), or null if the command isn't in the index
+   * @throws {Error} If a subcommand is unknown
+   */
+  resolve(input, application) {
+    const [name, ...path] = input.trim().split(/\s+/);
+
+    const command = this.getCommand(name, { application });
+    if (!command) return null;
+
+    let schema = command;
+    for (const part of path) {
+      const sub = (schema.options || []).find(
+        (option) =>
+          option.name === part &&
+          (option.type === SUB_COMMAND || option.type === SUB_COMMAND_GROUP),
+      );
+      if (!sub) {
+        throw new Error(`Unknown subcommand "${part}" of /${command.name}`);
+      }
+      schema = sub;
+    }
+
+    return {
+      application: this.getApplication(command.application_id),
+      command,
+      path,
+      options: schema.options || [],
+    };
+  }
+
+  /**
+   * Commands of one type, optionally of one application
+   * @private
+   */
+  filter({ application, type = 1 } = {}) {
+    const applicationId = application
+      ? (this.getApplication(application) || { id: application }).id
+      : null;
+    return this.commands.filter(
+      (command) =>
+        (command.type || 1) === type &&
+        (!applicationId || command.application_id === applicationId),
+    );
+  }
+}
+
+module.exports = ApplicationCommandIndex;
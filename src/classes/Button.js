@@ -0,0 +1,76 @@
+const Component = require("./Component");
+const Emoji = require("../util/Emoji");
+const { ButtonStyles } = require("../util/Constants");
+
+/**
+ * A button (component type 2)
+ * @extends Component
+ */
+class Button extends Component {
+  /**
+   * Create a new Button instance
+   * @param {object} data - Raw component data
+   */
+  constructor(data) {
+    super(data);
+    this.customId = data.custom_id || null;
+    this.label = data.label || null;
+    this.emoji = data.emoji || null;
+    this.url = data.url || null;
+    this.disabled = Boolean(data.disabled);
+  }
+
+  /**
+   * Whether this button opens a link instead of sending an interaction
+   * @type {boolean}
+   * @readonly
+   */
+  get isLink() {
+    return this.style === ButtonStyles.LINK;
+  }
+
+  /**
+   * Whether this button sends an interaction when clicked: it has a custom ID
+   * and isn't disabled
+   * @type {boolean}
+   * @readonly
+   */
+  get clickable() {
+    return Boolean(this.customId) && !this.disabled;
+  }
+
+  /**
+   * Check this button against a query. Every given criterion must match
+   * @param {object} query - What to look for
+   * @param {string|RegExp} [query.label] - The label, or a pattern it matches
+   * @param {string|object} [query.emoji] - The emoji, in any form accepted by {@link Emoji.parse}
+   * @param {number|string} [query.style] - The style number or name, e.g. `5` or `"LINK"`
+   * @param {string} [query.customId] - The custom ID
+   * @param {boolean} [query.disabled] - Whether the button is disabled
+   * @returns {boolean} True if the button matches
+   */
+  matches(query) {
+    const { label, emoji, style, customId, disabled } = query;
+
+    if (label !== undefined) {
+      const matched =
+        label instanceof RegExp
+          ? this.label !== null && label.test(this.label)
+          : this.label === label;
+      if (!matched) return false;
+    }
+    if (emoji !== undefined) {
+      if (!this.emoji || !Emoji.equals(this.emoji, emoji)) return false;
+    }
+    if (style !== undefined) {
+      const number =
+        typeof style === "string" ? ButtonStyles[style.toUpperCase()] : style;
+      if (this.style !== number) return false;
+    }
+    if (customId !== undefined && this.customId !== customId) return false;
+    if (disabled !== undefined && this.disabled !== disabled) return false;
+    return true;
+  }
+}
+
+module.exports = Button;
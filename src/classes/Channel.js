@@ -1,3 +1,13 @@
+const LimitedMap = require("../util/LimitedMap");
+const MessageCollector = require("./MessageCollector");
+const WebSocketError = require("./WebSocketError");
+const DiscordAPIError = require("./DiscordAPIError");
+const { TYPING_REFRESH_INTERVAL } = require("../util/Constants");
+
+// Field error Discord returns for commands sent with an outdated version
+const INVALID_COMMAND_VERSION =
+  "INTERACTION_APPLICATION_COMMAND_INVALID_VERSION";
+
 /**
  * Represents a Discord channel
  */
@@ -11,6 +21,10 @@ class Channel {
   constructor(client, rest, data) {
     this.client = client;
     this.rest = rest;
+    // Cache for Message instances sent in this channel
+    this.messages = new LimitedMap(client.options.cache.messages.maxSize);
+    this.deleted = false;
+    this.typingInterval = null;
 
     if (typeof data === "string") {
       this.id = data;
@@ -18,19 +32,43 @@ class Channel {
       this.name = null;
       this.type = null;
     } else {
-      this.data = data;
+      this.data = {};
+      this._patch(data);
+    }
+  }
 
-      for (const [key, value] of Object.entries(data)) {
-        const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
-          letter.toUpperCase(),
-        );
-        this[camelKey] = value;
-      }
+  /**
+   * Update this channel in place with (possibly partial) data from Discord
+   * @param {object} data - Raw channel data
+   * @returns {Channel} This channel
+   * @private
+   */
+  _patch(data) {
+    this.data = { ...this.data, ...data };
 
-      this.id = this.id || data.id;
-      this.name = this.name || data.name;
-      this.type = this.type || data.type;
+    for (const [key, value] of Object.entries(data)) {
+      const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+        letter.toUpperCase(),
+      );
+      this[camelKey] = value;
     }
+
+    this.id = this.id || this.data.id;
+    this.name = this.name || this.data.name || null;
+    this.type = this.type ?? this.data.type ?? null;
+    return this;
+  }
+
+  /**
+   * Create a snapshot of this channel, used as the "old" channel in update events.
+   * The snapshot doesn't carry the message cache.
+   * @returns {Channel} A copy of this channel
+   * @private
+   */
+  _clone() {
+    const clone = new Channel(this.client, this.rest, { ...this.data });
+    clone.deleted = this.deleted;
+    return clone;
   }
 
   /**
@@ -39,7 +77,9 @@ class Channel {
    * @returns {Promise<object>} The sent message data
    */
   async send(payload) {
-    return await this.rest.sendMessage(this.id, payload);
+    const message = await this.rest.sendMessage(this.id, payload);
+    this.stopTyping();
+    return message;
   }
 
   /**
@@ -51,6 +91,137 @@ class Channel {
     return await this.send(payload);
   }
 
+  /**
+   * Invoke a bot's slash command in this channel, like typing `/name sub` in the client
+   * @param {string} botId - The bot's application ID or name
+   * @param {string} command - The command name, followed by the subcommand group and/or subcommand, e.g. `"config set"`
+   * @param {object} [options={}] - Option values by name. Choices can be given by name or value,
+   * users, channels and roles by ID, and attachments as `{ name, data, contentType }`
+   * @param {object} [waitOptions={}] - How to wait for the answer, see {@link InteractionTracker#track}
+   * @returns {Promise<object>} The outcome: `{ id, nonce, message, modal, deferred, ephemeral }`
+   * @throws {Error} If the command isn't found or an option is missing or invalid
+   * @throws {WebSocketError} If the client isn't connected
+   * @throws {InteractionError} If the interaction fails or gets no answer in time
+   */
+  async sendSlashCommand(botId, command, options = {}, waitOptions = {}) {
+    if (!this.client.sessionId) {
+      throw new WebSocketError(
+        "No session ID available - client not properly connected",
+      );
+    }
+
+    const guildId = this.data.guild_id || null;
+    const resolved = await this.rest.resolveApplicationCommand(
+      this.id,
+      guildId,
+      command,
+      botId,
+    );
+    if (!resolved) {
+      const [name] = command.trim().split(/\s+/);
+      throw new Error(`Command /${name} not found for application ${botId}`);
+    }
+
+    try {
+      return await this.client.interactions.run(
+        (nonce) =>
+          this.rest.sendSlashCommand(
+            this.id,
+            guildId,
+            resolved.command,
+            resolved.path,
+            options,
+            this.client.sessionId,
+            nonce,
+          ),
+        waitOptions,
+      );
+    } catch (error) {
+      // Discord rejects commands sent with an outdated version: refetch the index next time
+      if (
+        error instanceof DiscordAPIError &&
+        error.hasErrorCode(INVALID_COMMAND_VERSION)
+      ) {
+        this.rest.invalidateCommandIndex(resolved.index.scope).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Show the typing indicator in this channel once, for about 10 seconds
+   * @returns {Promise<void>}
+   */
+  async sendTyping() {
+    return await this.rest.sendTyping(this.id);
+  }
+
+  /**
+   * Keep the typing indicator on until a message is sent in this channel or
+   * {@link Channel#stopTyping} is called
+   * @returns {void}
+   */
+  startTyping() {
+    if (this.typingInterval) return;
+
+    const refresh = () => {
+      this.sendTyping().catch((error) => {
+        this.client.logger.warn("Failed to send typing indicator", {
+          channelId: this.id,
+          error,
+        });
+      });
+    };
+    this.typingInterval = setInterval(refresh, TYPING_REFRESH_INTERVAL);
+    refresh();
+  }
+
+  /**
+   * Stop refreshing the typing indicator. Discord clears it after a few seconds,
+   * or right away once a message is sent.
+   * @returns {void}
+   */
+  stopTyping() {
+    if (this.typingInterval) {
+      clearInterval(this.typingInterval);
+      this.typingInterval = null;
+    }
+  }
+
+  /**
+   * Whether the typing loop is running
+   * @type {boolean}
+   * @readonly
+   */
+  get typing() {
+    return this.typingInterval !== null;
+  }
+
+  /**
+   * Create a collector for messages sent in this channel
+   * @param {object} [options={}] - Collector options
+   * @param {Function} [options.filter] - Only collect messages this returns true for
+   * @param {number} [options.max] - End after collecting this many messages
+   * @param {number} [options.time] - End after this many ms
+   * @param {number} [options.idle] - End after this many ms without a new message
+   * @returns {MessageCollector} The collector
+   */
+  createMessageCollector(options = {}) {
+    return new MessageCollector(this, options);
+  }
+
+  /**
+   * Wait for messages in this channel
+   * @param {object} [options={}] - Collector options, see {@link Channel#createMessageCollector}
+   * @param {Array<string>} [options.errors=[]] - End reasons (e.g. `time`) that reject instead of resolving
+   * @returns {Promise<Map<string, Message>>} The collected messages by ID
+   * @throws {CollectorError} If the collector ended for one of `options.errors`
+   */
+  awaitMessages(options = {}) {
+    const { errors = [], ...collectorOptions } = options;
+    return this.createMessageCollector(collectorOptions).awaitEnd(errors);
+  }
+
   /**
    * Fetch messages from this channel
    * @param {object} [options={}] - Fetch options
@@ -69,9 +240,7 @@ class Channel {
    * @returns {Promise<Message>} The message instance
    */
   async fetchMessage(messageId) {
-    const data = await this.rest.fetchMessage(this.id, messageId);
-    const Message = require("./Message");
-    return new Message(this.client, data);
+    return await this.client.fetchMessage(this.id, messageId);
   }
 
   /**
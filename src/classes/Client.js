@@ -4,6 +4,17 @@ const RestManager = require("../connection/rest/RestManager");
 const Guild = require("./Guild");
 const Channel = require("./Channel");
 const Message = require("./Message");
+const Presence = require("./Presence");
+const WebSocketError = require("./WebSocketError");
+const {
+  DefaultWebSocketOptions,
+  DefaultHttpOptions,
+  DefaultCacheOptions,
+} = require("../util/Constants");
+const Logger = require("../util/Logger");
+const LimitedMap = require("../util/LimitedMap");
+const Sweepers = require("../util/Sweepers");
+const InteractionTracker = require("../util/InteractionTracker");
 
 /**
  * The main client for connecting to Discord
@@ -15,27 +26,64 @@ class Client extends EventEmitter {
    * @param {object} [options={}] - Client options
    * @param {number} [options.apiVersion=9] - Discord API version to use
    * @param {object} [options.presence] - Presence data to send to Discord
+   * @param {Function|object} [options.logger] - Where to send log records, see {@link Logger}. Silent by default
+   * @param {object} [options.cache] - Cache policy. Each of `messages`, `guilds`, `channels` and `members` accepts
+   * `maxSize` (entries), `lifetime` (ms since an entry was last set before it is swept, 0 keeps it forever)
+   * and `filter` (returns true for entries to sweep)
+   * @param {object} [options.cache.messages] - Per-channel message cache policy (`maxSize` defaults to 200)
+   * @param {object} [options.cache.guilds] - Guild cache policy
+   * @param {object} [options.cache.channels] - Channel cache policy
+   * @param {object} [options.cache.members] - Per-guild member cache policy
+   * @param {object} [options.cache.presences] - Presence cache policy, per guild and for friends
+   * @param {number} [options.cache.sweepInterval=60000] - How often sweepers run, in ms
+   * @param {boolean|object} [options.pacing=false] - Pace sent messages like a person typing: `true` for the defaults,
+   * or `{ wordsPerMinute, jitter, minTypingTime, maxTypingTime, minGap }`, see {@link MessagePacer}
+   * @param {object} [options.http] - HTTP endpoint options
+   * @param {string} [options.http.api="https://discord.com/api"] - Base URL of the REST API, without the version
+   * @param {string} [options.http.cdn="https://cdn.discordapp.com"] - Base URL of the CDN
    * @param {object} [options.ws] - WebSocket connection options
+   * @param {string} [options.ws.gateway="wss://gateway.discord.gg"] - Gateway URL to connect to
+   * @param {number} [options.ws.maxReconnectAttempts=5] - Reconnect attempts before giving up
+   * @param {number} [options.ws.reconnectDelay=1000] - Base delay for the exponential reconnect backoff, in ms
+   * @param {number} [options.ws.maxReconnectDelay=30000] - Upper bound for the reconnect backoff, in ms
+   * @param {boolean} [options.ws.resetReconnectAttempts=true] - Reset the attempt counter after a successful READY or RESUMED
+   * @param {boolean} [options.ws.compress=false] - Use zlib-stream transport compression for the gateway
+   * @param {GatewayRecorder|string|object} [options.ws.recorder] - Record gateway traffic to a JSONL file, see {@link GatewayRecorder}
    */
   constructor(options = {}) {
     super();
     this.options = {
       apiVersion: 9,
-      presence: {
+      ...options,
+      presence: Presence.resolve({
         status: "online",
         since: 0,
         activities: [],
         afk: false,
-      },
-      ws: {},
-      ...options,
+        ...options.presence,
+      }),
+      cache: Client.mergeCacheOptions(options.cache),
+      http: { ...DefaultHttpOptions, ...options.http },
+      ws: { ...DefaultWebSocketOptions, ...options.ws },
     };
+    this.logger = new Logger({
+      logger: this.options.logger,
+      emitter: this,
+      subsystem: "client",
+    });
     this.token = null;
     this.ws = null;
     this.rest = null;
-    this.guilds = new Map(); // Cache for Guild instances
-    this.channels = new Map(); // Cache for Channel instances
+    this.guilds = new LimitedMap(this.options.cache.guilds.maxSize); // Cache for Guild instances
+    this.channels = new LimitedMap(this.options.cache.channels.maxSize); // Cache for Channel instances
+    this.sweepers = new Sweepers(this, this.options.cache);
+    this.interactions = new InteractionTracker(this);
     this.sessionId = null; // Will be set from WebSocket READY event
+    this.user = null; // ClientUser, set from WebSocket READY event
+    this.relationships = new Map(); // userId -> raw relationship data, from READY
+    this.presences = new LimitedMap(this.options.cache.presences.maxSize); // Presences outside guilds (friends)
+    this.voiceState = null; // Our own VoiceState while in a voice channel
+    this.voiceServer = null; // { token, guildId, channelId, endpoint } from VOICE_SERVER_UPDATE
   }
 
   /**
@@ -45,7 +93,11 @@ class Client extends EventEmitter {
    */
   async login(token) {
     this.token = token;
-    this.rest = new RestManager(this.token, this.options.apiVersion || 9);
+    this.rest = new RestManager(this.token, this.options.apiVersion || 9, {
+      api: this.options.http.api,
+      logger: this.logger,
+      pacing: this.options.pacing,
+    });
     await this.connect();
   }
 
@@ -61,6 +113,7 @@ class Client extends EventEmitter {
 
     this.ws = new DiscordWebSocket(this, this.token, this.options);
     this.ws.connect();
+    this.sweepers.start();
   }
 
   /**
@@ -68,6 +121,10 @@ class Client extends EventEmitter {
    * @returns {void}
    */
   disconnect() {
+    this.sweepers.stop();
+    for (const channel of this.channels.values()) {
+      channel.stopTyping();
+    }
     if (this.ws) {
       this.ws.disconnect();
     }
@@ -84,6 +141,202 @@ class Client extends EventEmitter {
     }
   }
 
+  /**
+   * Update the user's presence (op 3). The new presence is kept in `options.presence`,
+   * so it's sent again when the client identifies, or when it resumes after a change
+   * made while disconnected.
+   * @param {object} presence - Presence fields to change
+   * @param {string} [presence.status] - online, idle, dnd, invisible or offline
+   * @param {Array<object>} [presence.activities] - Activities, see {@link Presence.resolveActivity}
+   * @param {boolean} [presence.afk] - Whether the user is AFK
+   * @param {number} [presence.since] - Unix time in ms since the user went idle
+   * @returns {object} The presence that was sent
+   * @throws {Error} If the presence is invalid
+   */
+  setPresence(presence) {
+    const resolved = Presence.resolve({
+      ...this.options.presence,
+      ...presence,
+    });
+    this.options.presence = resolved;
+    if (this.ws) {
+      this.ws.sendPresence(resolved);
+    }
+    return resolved;
+  }
+
+  /**
+   * Set the user's status
+   * @param {string} status - online, idle, dnd, invisible or offline
+   * @returns {object} The presence that was sent
+   */
+  setStatus(status) {
+    return this.setPresence({ status });
+  }
+
+  /**
+   * Set the user's activity, replacing any other activity but keeping the custom status
+   * @param {string|null} name - Activity name, or null to clear the activity
+   * @param {object} [options={}] - Activity options
+   * @param {number} [options.type=0] - 0 Playing, 1 Streaming, 2 Listening, 3 Watching, 5 Competing
+   * @param {string} [options.url] - Stream URL, required for streaming
+   * @param {string} [options.details] - What the user is doing
+   * @param {string} [options.state] - The user's current party status
+   * @returns {object} The presence that was sent
+   */
+  setActivity(name, options = {}) {
+    const activities = this.options.presence.activities.filter(
+      (activity) => activity.type === 4,
+    );
+    if (name !== null) {
+      activities.push({ ...options, name, type: options.type ?? 0 });
+    }
+    return this.setPresence({ activities });
+  }
+
+  /**
+   * Set the user's custom status (activity type 4), keeping other activities
+   * @param {string|null} text - Status text, or null to clear the custom status
+   * @param {string|object} [emoji] - A unicode emoji, a `<:name:id>` string or `{ name, id, animated }`
+   * @returns {object} The presence that was sent
+   */
+  setCustomStatus(text, emoji) {
+    const activities = this.options.presence.activities.filter(
+      (activity) => activity.type !== 4,
+    );
+    if (text !== null || emoji) {
+      activities.unshift({ type: 4, state: text || undefined, emoji });
+    }
+    return this.setPresence({ activities });
+  }
+
+  /**
+   * Join or move to a voice channel (op 4) without sending audio. Calling it again for
+   * the current channel only changes the mute, deafen and video flags.
+   * @param {string|null} guildId - The guild ID, or null for a DM call
+   * @param {string} channelId - The voice channel ID
+   * @param {object} [options={}] - Voice options
+   * @param {boolean} [options.selfMute=false] - Whether to join muted
+   * @param {boolean} [options.selfDeaf=false] - Whether to join deafened
+   * @param {boolean} [options.selfVideo=false] - Whether to join with the camera on
+   * @param {number} [options.time=30000] - How long to wait for Discord to confirm, in ms
+   * @returns {Promise<VoiceState>} Our new voice state, once Discord confirmed it (and sent a voice server when joining a new guild)
+   * @throws {WebSocketError} If the client isn't connected or Discord doesn't confirm in time
+   */
+  joinVoice(guildId, channelId, options = {}) {
+    const {
+      selfMute = false,
+      selfDeaf = false,
+      selfVideo = false,
+      time = 30000,
+    } = options;
+
+    // Moving within the same guild keeps the voice server
+    const current = this.voiceState;
+    const needsServer = !current || current.guildId !== (guildId || null);
+
+    return this._updateVoiceState(
+      {
+        guild_id: guildId || null,
+        channel_id: channelId,
+        self_mute: selfMute,
+        self_deaf: selfDeaf,
+        self_video: selfVideo,
+      },
+      needsServer,
+      time,
+    );
+  }
+
+  /**
+   * Leave the current voice channel (op 4)
+   * @param {object} [options={}] - Leave options
+   * @param {number} [options.time=30000] - How long to wait for Discord to confirm, in ms
+   * @returns {Promise<VoiceState|null>} Our voice state after leaving, or null if we weren't in a voice channel
+   * @throws {WebSocketError} If the client isn't connected or Discord doesn't confirm in time
+   */
+  leaveVoice(options = {}) {
+    const { time = 30000 } = options;
+    if (!this.voiceState) return Promise.resolve(null);
+
+    return this._updateVoiceState(
+      {
+        guild_id: this.voiceState.guildId,
+        channel_id: null,
+        self_mute: false,
+        self_deaf: false,
+        self_video: false,
+      },
+      false,
+      time,
+    );
+  }
+
+  /**
+   * Send a voice state update and wait for our VOICE_STATE_UPDATE (and VOICE_SERVER_UPDATE)
+   * @private
+   */
+  _updateVoiceState(data, needsServer, time) {
+    if (!this.ws || !this.ws.ready) {
+      return Promise.reject(
+        new WebSocketError("Cannot update voice state while disconnected"),
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      let state = null;
+      let serverReceived = !needsServer;
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.off("voiceStateUpdate", onState);
+        this.off("voiceServerUpdate", onServer);
+      };
+
+      const finish = () => {
+        if (!state || !serverReceived) return;
+        cleanup();
+        resolve(state);
+      };
+
+      const onState = (oldState, newState) => {
+        if (!this.user || newState.userId !== this.user.id) return;
+        if (newState.channelId !== data.channel_id) return;
+        state = newState;
+        finish();
+      };
+
+      const onServer = (server) => {
+        if (server.guildId !== data.guild_id) return;
+        serverReceived = true;
+        finish();
+      };
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(
+          new WebSocketError("Timed out waiting for a voice state update"),
+        );
+      }, time);
+
+      this.on("voiceStateUpdate", onState);
+      this.on("voiceServerUpdate", onServer);
+      this.send({ op: 4, d: data });
+    });
+  }
+
+  /**
+   * Turn send pacing on, reconfigure it, or turn it off
+   * @param {boolean|object} pacing - `true` for the default pacing, pacing options, or `false`
+   * @returns {void}
+   */
+  setPacing(pacing) {
+    this.options.pacing = pacing;
+    if (this.rest) {
+      this.rest.setPacing(pacing);
+    }
+  }
+
   /**
    * Send a message to a channel
    * @param {string} channelId - The channel ID to send to
@@ -100,10 +353,32 @@ class Client extends EventEmitter {
    * @returns {Channel} The channel instance
    */
   getChannel(id) {
-    if (!this.channels.has(id)) {
-      this.channels.set(id, new Channel(this, this.rest, id));
+    let channel = this.channels.get(id);
+    if (!channel) {
+      channel = new Channel(this, this.rest, id);
+      // Not kept when the channel cache is disabled (maxSize 0)
+      this.channels.set(id, channel);
     }
-    return this.channels.get(id);
+    return channel;
+  }
+
+  /**
+   * Get the cached DM channel with a user, if there is one
+   * @param {string} userId - The user ID
+   * @returns {Channel|null} The DM channel or null if not cached
+   */
+  getDMChannel(userId) {
+    for (const channel of this.channels.values()) {
+      if (!channel.isDM()) continue;
+
+      const recipientIds =
+        channel.data.recipient_ids ||
+        (channel.data.recipients || []).map((recipient) => recipient.id);
+      if (recipientIds.includes(userId)) {
+        return channel;
+      }
+    }
+    return null;
   }
 
   /**
@@ -112,10 +387,13 @@ class Client extends EventEmitter {
    * @returns {Guild} The guild instance
    */
   getGuild(id) {
-    if (!this.guilds.has(id)) {
-      this.guilds.set(id, new Guild(this, this.rest, id));
+    let guild = this.guilds.get(id);
+    if (!guild) {
+      guild = new Guild(this, this.rest, id);
+      // Not kept when the guild cache is disabled (maxSize 0)
+      this.guilds.set(id, guild);
     }
-    return this.guilds.get(id);
+    return guild;
   }
 
   /**
@@ -125,9 +403,7 @@ class Client extends EventEmitter {
    */
   async fetchGuild(id) {
     const data = await this.rest.fetchGuild(id);
-    const guild = new Guild(this, this.rest, data);
-    this.guilds.set(id, guild); // Update cache with fresh data
-    return guild;
+    return this._cacheGuild(data);
   }
 
   /**
@@ -137,8 +413,47 @@ class Client extends EventEmitter {
    */
   async fetchChannel(id) {
     const data = await this.rest.fetchChannel(id);
-    const channel = new Channel(this, this.rest, data);
-    this.channels.set(id, channel); // Update cache with fresh data
+    return this._cacheChannel(data);
+  }
+
+  /**
+   * Cache a guild from gateway or REST data, with the channels and threads it carries.
+   * A cached guild is patched in place so references held by users stay current,
+   * along with its member, presence and voice state caches
+   * @param {object} data - Raw guild data
+   * @returns {Guild} The guild
+   * @private
+   */
+  _cacheGuild(data) {
+    let guild = this.guilds.get(data.id);
+    if (guild) {
+      guild._patch(data);
+    } else {
+      guild = new Guild(this, this.rest, data);
+    }
+    this.guilds.set(guild.id, guild);
+
+    for (const channel of [...(data.channels || []), ...(data.threads || [])]) {
+      this._cacheChannel({ ...channel, guild_id: guild.id });
+    }
+    return guild;
+  }
+
+  /**
+   * Cache a channel from gateway or REST data. A cached channel is patched in place,
+   * keeping its message cache and typing loop
+   * @param {object} data - Raw channel data
+   * @returns {Channel} The channel
+   * @private
+   */
+  _cacheChannel(data) {
+    let channel = this.channels.get(data.id);
+    if (channel) {
+      channel._patch(data);
+    } else {
+      channel = new Channel(this, this.rest, data);
+    }
+    this.channels.set(channel.id, channel);
     return channel;
   }
 
@@ -150,7 +465,9 @@ class Client extends EventEmitter {
    */
   async fetchMessage(channelId, messageId) {
     const data = await this.rest.fetchMessage(channelId, messageId);
-    return new Message(this, data);
+    const message = new Message(this, data);
+    this.getChannel(channelId).messages.set(message.id, message); // Update cache with fresh data
+    return message;
   }
 
   /**
@@ -166,6 +483,24 @@ class Client extends EventEmitter {
     return await this.rest.fetchMessages(channelId, options);
   }
 
+  /**
+   * The latency of the most recent heartbeat round trip, in milliseconds
+   * @type {number}
+   * @readonly
+   */
+  get ping() {
+    return this.ws ? this.ws.ping : -1;
+  }
+
+  /**
+   * Recent heartbeat latencies in milliseconds, newest first
+   * @type {number[]}
+   * @readonly
+   */
+  get pings() {
+    return this.ws ? [...this.ws.pings] : [];
+  }
+
   /**
    * Get the user token
    * @returns {string|null} The user token
@@ -174,6 +509,24 @@ class Client extends EventEmitter {
     return this.token;
   }
 
+  /**
+   * Merge user cache options with the defaults, one policy at a time
+   * @param {object} [cache={}] - User cache options
+   * @returns {object} The merged cache options
+   * @private
+   */
+  static mergeCacheOptions(cache = {}) {
+    return {
+      ...DefaultCacheOptions,
+      ...cache,
+      messages: { ...DefaultCacheOptions.messages, ...cache.messages },
+      guilds: { ...DefaultCacheOptions.guilds, ...cache.guilds },
+      channels: { ...DefaultCacheOptions.channels, ...cache.channels },
+      members: { ...DefaultCacheOptions.members, ...cache.members },
+      presences: { ...DefaultCacheOptions.presences, ...cache.presences },
+    };
+  }
+
   /**
    * Destroy the client and clean up resources
    * @returns {void}
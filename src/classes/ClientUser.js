@@ -0,0 +1,79 @@
+/**
+ * Represents the logged in user, hydrated from the READY payload
+ */
+class ClientUser {
+  /**
+   * Create a new ClientUser instance
+   * @param {Client} client - The Discord client
+   * @param {object} data - Raw user data from READY
+   */
+  constructor(client, data) {
+    this.client = client;
+    this.data = {};
+    this.settings = {};
+    this._patch(data);
+  }
+
+  /**
+   * Update this user in place with data from Discord
+   * @param {object} data - Raw user data
+   * @returns {ClientUser} This user
+   * @private
+   */
+  _patch(data) {
+    this.data = { ...this.data, ...data };
+
+    for (const [key, value] of Object.entries(data)) {
+      const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+        letter.toUpperCase(),
+      );
+      this[camelKey] = value;
+    }
+    return this;
+  }
+
+  /**
+   * The user's tag, `username#discriminator`, or just the username for migrated accounts
+   * @type {string}
+   * @readonly
+   */
+  get tag() {
+    if (!this.discriminator || this.discriminator === "0") {
+      return this.username;
+    }
+    return `${this.username}#${this.discriminator}`;
+  }
+
+  /**
+   * The name shown in the client: the global name if set, otherwise the username
+   * @type {string}
+   * @readonly
+   */
+  get displayName() {
+    return this.globalName || this.username;
+  }
+
+  /**
+   * Get the user's avatar URL
+   * @param {object} [options={}] - Avatar options
+   * @param {number} [options.size=512] - Avatar size
+   * @param {string} [options.format='png'] - Avatar format (png, jpg, webp, gif)
+   * @returns {string|null} The avatar URL or null if no avatar
+   */
+  getAvatarURL(options = {}) {
+    if (!this.data.avatar) return null;
+    const size = options.size || 512;
+    const format = options.format || "png";
+    return `${this.client.options.http.cdn}/avatars/${this.id}/${this.data.avatar}.${format}?size=${size}`;
+  }
+
+  /**
+   * Get the user's mention string
+   * @returns {string} The user mention string
+   */
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+module.exports = ClientUser;
@@ -0,0 +1,155 @@
+const { EventEmitter } = require("events");
+const CollectorError = require("./CollectorError");
+
+/**
+ * Base class for collectors, which gather items from client events until they end.
+ * A collector ends after `time`, after `idle` without collecting, once `max` items
+ * are collected, or when {@link Collector#stop} is called. Its client listeners are
+ * removed when it ends.
+ * @extends EventEmitter
+ */
+class Collector extends EventEmitter {
+  /**
+   * Create a new Collector instance
+   * @param {Client} client - The Discord client
+   * @param {object} [options={}] - Collector options
+   * @param {Function} [options.filter] - Only collect items this returns true (or a promise of true) for
+   * @param {number} [options.max] - End after collecting this many items
+   * @param {number} [options.time] - End after this many ms
+   * @param {number} [options.idle] - End after this many ms without collecting anything
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.options = options;
+    this.filter = options.filter || (() => true);
+    this.collected = new Map();
+    this.ended = false;
+    this.endReason = null;
+    this.error = null; // What the filter threw, if the collector ended with reason "error"
+    this.clientListeners = []; // [event, handler] pairs to remove on end
+    this.timeout = null;
+    this.idleTimeout = null;
+
+    this.resetTimer(options);
+  }
+
+  /**
+   * Restart the collector's timers
+   * @param {object} [options={}] - New timer lengths, defaulting to the collector's options
+   * @param {number} [options.time] - End after this many ms
+   * @param {number} [options.idle] - End after this many ms without collecting anything
+   * @returns {void}
+   */
+  resetTimer({ time = this.options.time, idle = this.options.idle } = {}) {
+    if (this.ended) return;
+
+    if (time) {
+      clearTimeout(this.timeout);
+      this.timeout = setTimeout(() => this.stop("time"), time);
+    }
+    if (idle) {
+      clearTimeout(this.idleTimeout);
+      this.idleTimeout = setTimeout(() => this.stop("idle"), idle);
+    }
+  }
+
+  /**
+   * Listen to a client event until the collector ends
+   * @param {string} event - The client event
+   * @param {Function} handler - The listener
+   * @returns {void}
+   * @protected
+   */
+  listen(event, handler) {
+    this.client.on(event, handler);
+    this.clientListeners.push([event, handler]);
+  }
+
+  /**
+   * Run an item through the filter and collect it if it passes
+   * @param {string} key - Key of the item in `collected`
+   * @param {*} item - The item
+   * @param {...*} args - Extra arguments passed to the filter and the `collect` event
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async handleCollect(key, item, ...args) {
+    if (this.ended) return;
+
+    let passed;
+    try {
+      passed = await this.filter(item, ...args);
+    } catch (error) {
+      // Handlers run fire-and-forget from client events, so end the collector rather than reject
+      this.error = error;
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", error);
+      }
+      this.stop("error");
+      return;
+    }
+    // The collector may have ended while an async filter ran
+    if (!passed || this.ended) return;
+
+    this.collected.set(key, item);
+    this.emit("collect", item, ...args);
+
+    if (this.options.max && this.collected.size >= this.options.max) {
+      this.stop("limit");
+      return;
+    }
+    if (this.options.idle) {
+      this.resetTimer({ time: 0, idle: this.options.idle });
+    }
+  }
+
+  /**
+   * End the collector and remove its client listeners
+   * @param {string} [reason="user"] - Why the collector ended
+   * @returns {void}
+   */
+  stop(reason = "user") {
+    if (this.ended) return;
+
+    this.ended = true;
+    this.endReason = reason;
+    clearTimeout(this.timeout);
+    clearTimeout(this.idleTimeout);
+    for (const [event, handler] of this.clientListeners) {
+      this.client.off(event, handler);
+    }
+    this.clientListeners = [];
+
+    this.emit("end", this.collected, reason);
+  }
+
+  /**
+   * Wait for the collector to end
+   * @param {Array<string>} [errors=[]] - End reasons that reject instead of resolving
+   * @returns {Promise<Map>} The collected items
+   * @throws {CollectorError} If the collector ended for one of `errors`
+   * @throws {Error} What the filter threw, if the collector ended because of it
+   */
+  awaitEnd(errors = []) {
+    return new Promise((resolve, reject) => {
+      const settle = (collected, reason) => {
+        if (reason === "error" && this.error) {
+          reject(this.error);
+        } else if (errors.includes(reason)) {
+          reject(new CollectorError(reason, collected));
+        } else {
+          resolve(collected);
+        }
+      };
+
+      if (this.ended) {
+        settle(this.collected, this.endReason);
+      } else {
+        this.once("end", settle);
+      }
+    });
+  }
+}
+
+module.exports = Collector;
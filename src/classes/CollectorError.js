@@ -0,0 +1,19 @@
+/**
+ * Represents a collector that ended for a reason the caller treats as an error
+ * @extends Error
+ */
+class CollectorError extends Error {
+  /**
+   * Create a new CollectorError
+   * @param {string} reason - Why the collector ended, e.g. `time` or `idle`
+   * @param {Map} collected - What was collected before it ended
+   */
+  constructor(reason, collected) {
+    super(`Collector ended with reason: ${reason}`);
+    this.name = "CollectorError";
+    this.reason = reason;
+    this.collected = collected;
+  }
+}
+
+module.exports = CollectorError;
@@ -0,0 +1,31 @@
+/**
+ * Base class for message and modal components. Raw fields are copied as camelCase
+ * properties (e.g. `custom_id` becomes `customId`); the raw data stays in `data`.
+ * Component types without a dedicated class are represented by this class.
+ */
+class Component {
+  /**
+   * Create a new Component instance
+   * @param {object} data - Raw component data
+   */
+  constructor(data) {
+    this.data = data;
+
+    for (const [key, value] of Object.entries(data)) {
+      const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+        letter.toUpperCase(),
+      );
+      this[camelKey] = value;
+    }
+  }
+
+  /**
+   * The raw component data, as sent by Discord
+   * @returns {object} The raw data
+   */
+  toJSON() {
+    return this.data;
+  }
+}
+
+module.exports = Component;
@@ -0,0 +1,21 @@
+const Component = require("./Component");
+
+/**
+ * A Components V2 container (component type 17), grouping components in a box
+ * @extends Component
+ */
+class Container extends Component {
+  /**
+   * Create a new Container instance
+   * @param {object} data - Raw component data
+   * @param {Array<Component>} [components=[]] - The container's components, already built
+   */
+  constructor(data, components = []) {
+    super(data);
+    this.components = components;
+    this.accentColor = data.accent_color ?? null;
+    this.spoiler = Boolean(data.spoiler);
+  }
+}
+
+module.exports = Container;
@@ -8,12 +8,33 @@ class DiscordAPIError extends Error {
    * @param {string} message - The error message.
    * @param {number} status - The HTTP status code of the response.
    * @param {string} path - The path of the API endpoint that was requested.
+   * @param {number} [code=0] - The Discord JSON error code.
+   * @param {object|null} [errors=null] - The per-field errors of the response, if any.
    */
-  constructor(message, status, path) {
+  constructor(message, status, path, code = 0, errors = null) {
     super(message);
     this.name = "DiscordAPIError";
     this.status = status;
     this.path = path;
+    this.code = code;
+    this.errors = errors;
+  }
+
+  /**
+   * Whether the response has this error code, either as its JSON error code or on
+   * one of its fields (e.g. `"INTERACTION_APPLICATION_COMMAND_INVALID_VERSION"`).
+   * @param {number|string} code - The error code to look for.
+   * @returns {boolean}
+   */
+  hasErrorCode(code) {
+    if (this.code === code) return true;
+    const search = (node) =>
+      node !== null &&
+      typeof node === "object" &&
+      ((Array.isArray(node._errors) &&
+        node._errors.some((error) => error.code === code)) ||
+        Object.values(node).some(search));
+    return search(this.errors);
   }
 }
 
@@ -1,3 +1,11 @@
+const GuildMember = require("./GuildMember");
+const MemberList = require("./MemberList");
+const Presence = require("./Presence");
+const VoiceState = require("./VoiceState");
+const LimitedMap = require("../util/LimitedMap");
+const Snowflake = require("../util/Snowflake");
+const WebSocketError = require("./WebSocketError");
+
 /**
  * Represents a Discord guild (server)
  */
@@ -11,24 +19,349 @@ class Guild {
   constructor(client, rest, data) {
     this.client = client;
     this.rest = rest;
+    this.members = new LimitedMap(client.options.cache.members.maxSize); // Cache for GuildMember instances
+    this.presences = new LimitedMap(client.options.cache.presences.maxSize); // userId -> Presence
+    this.voiceStates = new Map(); // userId -> VoiceState, only users in a voice channel
+    this.memberLists = new Map(); // listId -> MemberList
+    this.memberListChannels = new Map(); // channelId -> listId
 
     if (typeof data === "string") {
       this.id = data;
       this.data = { id: data };
       this.name = null;
     } else {
-      this.data = data;
+      this.data = {};
+      this._patch(data);
+    }
+  }
+
+  /**
+   * Update this guild in place with (possibly partial) data from Discord
+   * @param {object} data - Raw guild data
+   * @returns {Guild} This guild
+   * @private
+   */
+  _patch(data) {
+    const { members, presences, voice_states: voiceStates, ...rest } = data;
+    this.data = { ...this.data, ...rest };
+
+    for (const [key, value] of Object.entries(rest)) {
+      const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+        letter.toUpperCase(),
+      );
+      this[camelKey] = value;
+    }
+
+    this.id = this.id || this.data.id;
+    this.name = this.name || this.data.name || null;
+
+    // Members, presences and voice states sent along with the guild go into their caches instead
+    for (const member of members || []) {
+      this._addMember(member);
+    }
+    for (const presence of presences || []) {
+      this._addPresence(presence);
+    }
+    for (const voiceState of voiceStates || []) {
+      this._addVoiceState(voiceState);
+    }
+    return this;
+  }
+
+  /**
+   * Create a snapshot of this guild, used as the "old" guild in update events
+   * @returns {Guild} A copy of this guild
+   * @private
+   */
+  _clone() {
+    return new Guild(this.client, this.rest, { ...this.data });
+  }
+
+  /**
+   * Add or update a member in the member cache
+   * @param {object} data - Raw guild member data
+   * @returns {GuildMember} The cached member
+   * @private
+   */
+  _addMember(data) {
+    let member = this.members.get(data.user.id);
+    if (member) {
+      member._patch(data);
+    } else {
+      member = new GuildMember(this.client, this, data);
+    }
+    this.members.set(member.id, member);
+    return member;
+  }
+
+  /**
+   * Add or update a presence in the presence cache
+   * @param {object} data - Raw presence data
+   * @returns {Presence} The cached presence
+   * @private
+   */
+  _addPresence(data) {
+    let presence = this.presences.get(data.user.id);
+    if (presence) {
+      presence._patch(data);
+    } else {
+      presence = new Presence(this.client, { ...data, guild_id: this.id });
+    }
+    this.presences.set(data.user.id, presence);
+    return presence;
+  }
+
+  /**
+   * Add, update or (when the user left voice) remove a voice state in the voice state cache
+   * @param {object} data - Raw voice state data
+   * @returns {VoiceState} The voice state
+   * @private
+   */
+  _addVoiceState(data) {
+    let voiceState = this.voiceStates.get(data.user_id);
+    if (voiceState) {
+      voiceState._patch(data);
+    } else {
+      voiceState = new VoiceState(this.client, { ...data, guild_id: this.id });
+    }
+
+    if (data.member) {
+      this._addMember(data.member);
+    }
+    if (voiceState.channelId) {
+      this.voiceStates.set(data.user_id, voiceState);
+    } else {
+      this.voiceStates.delete(data.user_id);
+    }
+    return voiceState;
+  }
+
+  /**
+   * Get a user's voice state from the voice state cache
+   * @param {string} userId - The user ID
+   * @returns {VoiceState|null} The voice state or null if the user isn't in a voice channel
+   */
+  getVoiceState(userId) {
+    return this.voiceStates.get(userId) || null;
+  }
+
+  /**
+   * Get a user's presence from the presence cache
+   * @param {string} userId - The user ID
+   * @returns {Presence|null} The presence or null if not cached
+   */
+  getPresence(userId) {
+    return this.presences.get(userId) || null;
+  }
+
+  /**
+   * Get a member from the member cache
+   * @param {string} userId - The user ID
+   * @returns {GuildMember|null} The member or null if not cached
+   */
+  getMember(userId) {
+    return this.members.get(userId) || null;
+  }
+
+  /**
+   * Request guild members over the gateway (op 8) and wait for every chunk.
+   * Matching members are added to the member cache.
+   * @param {object} [options={}] - Request options
+   * @param {string} [options.query=""] - Username prefix to search for, empty for all members
+   * @param {Array<string>} [options.userIds] - Fetch these users instead of searching
+   * @param {number} [options.limit=0] - Maximum number of members, 0 for no limit
+   * @param {boolean} [options.presences=false] - Whether to include presences
+   * @param {number} [options.time=120000] - How long to wait for the chunks, in ms
+   * @returns {Promise<Map<string, GuildMember>>} The received members by user ID
+   * @throws {WebSocketError} If the client isn't connected or the chunks don't arrive in time
+   */
+  fetchMembers(options = {}) {
+    const {
+      query = "",
+      userIds,
+      limit = 0,
+      presences = false,
+      time = 120000,
+    } = options;
+
+    if (!this.client.ws || !this.client.ws.ready) {
+      return Promise.reject(
+        new WebSocketError("Cannot request members while disconnected"),
+      );
+    }
+
+    const nonce = Snowflake.generate();
+    const payload = {
+      op: 8,
+      d: { guild_id: this.id, limit, presences, nonce },
+    };
+    if (userIds && userIds.length > 0) {
+      payload.d.user_ids = userIds;
+    } else {
+      payload.d.query = query;
+    }
+
+    return new Promise((resolve, reject) => {
+      const fetched = new Map();
+      const received = new Set();
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.client.off("guildMembersChunk", onChunk);
+      };
+
+      const onChunk = (members, guild, chunk) => {
+        if (chunk.nonce !== nonce) return;
+
+        for (const [id, member] of members) {
+          fetched.set(id, member);
+        }
+        received.add(chunk.index);
+        if (received.size >= chunk.count) {
+          cleanup();
+          resolve(fetched);
+        }
+      };
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(
+          new WebSocketError(
+            `Timed out waiting for members of guild ${this.id}`,
+          ),
+        );
+      }, time);
+
+      this.client.on("guildMembersChunk", onChunk);
+      this.client.send(payload);
+    });
+  }
+
+  /**
+   * Get the member list a channel was subscribed to, if any
+   * @param {string} channelId - The channel ID
+   * @returns {MemberList|null} The member list or null
+   */
+  getMemberList(channelId) {
+    const listId = this.memberListChannels.get(channelId);
+    return (listId && this.memberLists.get(listId)) || null;
+  }
 
-      for (const [key, value] of Object.entries(data)) {
-        const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
-          letter.toUpperCase(),
+  /**
+   * Get or create a member list by its ID
+   * @param {string} listId - The list ID
+   * @returns {MemberList} The member list
+   * @private
+   */
+  _getOrCreateMemberList(listId) {
+    if (!this.memberLists.has(listId)) {
+      this.memberLists.set(listId, new MemberList(this, listId));
+    }
+    return this.memberLists.get(listId);
+  }
+
+  /**
+   * Subscribe to ranges of a channel's member sidebar (op 14), the way the official
+   * client does. Resolves with the synced list after Discord's next SYNC of the channel's
+   * list (see {@link MemberList.computeId}), and keeps it updated afterwards.
+   * @param {string} channelId - A channel the user can see, usually a text channel
+   * @param {Array<Array<number>>} [ranges=[[0, 99]]] - Inclusive index ranges, at most 3 of 100 items each
+   * @param {object} [options={}] - Subscription options
+   * @param {number} [options.time=15000] - How long to wait for the sync, in ms
+   * @returns {Promise<MemberList>} The member list
+   * @throws {WebSocketError} If the client isn't connected or no sync arrives in time
+   */
+  subscribeMemberList(channelId, ranges = [[0, 99]], options = {}) {
+    const time = options.time || 15000;
+
+    if (!this.client.ws || !this.client.ws.ready) {
+      return Promise.reject(
+        new WebSocketError(
+          "Cannot subscribe to member lists while disconnected",
+        ),
+      );
+    }
+
+    const listId =
+      this.memberListChannels.get(channelId) ||
+      MemberList.computeId(this.client.getChannel(channelId), this);
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.client.off("guildMemberListUpdate", onUpdate);
+      };
+
+      const onUpdate = (list, guild, ops) => {
+        if (guild !== this || list.id !== listId) return;
+        if (!ops.some((op) => op.op === "SYNC")) return;
+
+        cleanup();
+        this.memberListChannels.set(channelId, list.id);
+        resolve(list);
+      };
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(
+          new WebSocketError(
+            `Timed out waiting for the member list of channel ${channelId}`,
+          ),
         );
-        this[camelKey] = value;
+      }, time);
+
+      this.client.on("guildMemberListUpdate", onUpdate);
+      this.client.send({
+        op: 14,
+        d: {
+          guild_id: this.id,
+          typing: true,
+          threads: true,
+          activities: true,
+          members: [],
+          channels: { [channelId]: ranges },
+        },
+      });
+    });
+  }
+
+  /**
+   * Enumerate every member visible in a channel's sidebar by scrolling through it
+   * range by range. Discord invalidates the ranges scrolled past, so members are
+   * collected from each range as it syncs. Large guilds only list online members.
+   * @param {string} channelId - The channel ID
+   * @param {object} [options={}] - Options
+   * @param {number} [options.delay=500] - Wait between subscriptions, in ms
+   * @param {number} [options.time=15000] - How long to wait for each sync, in ms
+   * @returns {Promise<Array<GuildMember>>} The members in sidebar order
+   */
+  async fetchMemberList(channelId, options = {}) {
+    const delay = options.delay ?? 500;
+    const members = new Map(); // userId -> GuildMember, in sidebar order
+    const collect = (list) => {
+      for (const member of list.members) {
+        if (!members.has(member.id)) members.set(member.id, member);
+      }
+    };
+
+    let list = await this.subscribeMemberList(channelId, [[0, 99]], options);
+    collect(list);
+    let start = 100;
+
+    while (start < list.size) {
+      // The first range stays subscribed, like the official client does while scrolling
+      const ranges = [[0, 99]];
+      while (ranges.length < 3 && start < list.size) {
+        ranges.push([start, start + 99]);
+        start += 100;
       }
 
-      this.id = this.id || data.id;
-      this.name = this.name || data.name;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      list = await this.subscribeMemberList(channelId, ranges, options);
+      collect(list);
     }
+
+    return [...members.values()];
   }
 
   /**
@@ -96,7 +429,7 @@ class Guild {
     if (!this.data.icon) return null;
     const size = options.size || 512;
     const format = options.format || "png";
-    return `https://cdn.discordapp.com/icons/${this.id}/${this.data.icon}.${format}?size=${size}`;
+    return `${this.client.options.http.cdn}/icons/${this.id}/${this.data.icon}.${format}?size=${size}`;
   }
 
   /**
@@ -110,7 +443,7 @@ class Guild {
     if (!this.data.banner) return null;
     const size = options.size || 512;
     const format = options.format || "png";
-    return `https://cdn.discordapp.com/banners/${this.id}/${this.data.banner}.${format}?size=${size}`;
+    return `${this.client.options.http.cdn}/banners/${this.id}/${this.data.banner}.${format}?size=${size}`;
   }
 }
 
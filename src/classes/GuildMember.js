@@ -0,0 +1,93 @@
+/**
+ * Represents a member of a Discord guild
+ */
+class GuildMember {
+  /**
+   * Create a new GuildMember instance
+   * @param {Client} client - The Discord client
+   * @param {Guild} guild - The guild this member belongs to
+   * @param {object} data - Raw guild member data
+   */
+  constructor(client, guild, data) {
+    this.client = client;
+    this.guild = guild;
+    this.data = {};
+    this.roles = [];
+    this._patch(data);
+  }
+
+  /**
+   * Update this member in place with (possibly partial) data from Discord
+   * @param {object} data - Raw guild member data
+   * @returns {GuildMember} This member
+   * @private
+   */
+  _patch(data) {
+    this.data = { ...this.data, ...data };
+
+    for (const [key, value] of Object.entries(data)) {
+      const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+        letter.toUpperCase(),
+      );
+      this[camelKey] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Create a snapshot of this member, used as the "old" member in update events
+   * @returns {GuildMember} A copy of this member
+   * @private
+   */
+  _clone() {
+    return new GuildMember(this.client, this.guild, { ...this.data });
+  }
+
+  /**
+   * The member's user ID
+   * @type {string}
+   * @readonly
+   */
+  get id() {
+    return this.user ? this.user.id : null;
+  }
+
+  /**
+   * The name shown in the guild: nickname, then global name, then username
+   * @type {string|null}
+   * @readonly
+   */
+  get displayName() {
+    if (this.nick) return this.nick;
+    if (!this.user) return null;
+    return this.user.global_name || this.user.username;
+  }
+
+  /**
+   * Get the raw role objects of this member's roles, from the guild's cached roles
+   * @returns {Array<object>} Array of role data
+   */
+  getRoles() {
+    const guildRoles = this.guild.data.roles || [];
+    return guildRoles.filter((role) => this.roles.includes(role.id));
+  }
+
+  /**
+   * Check whether this member has a role
+   * @param {string} roleId - The role ID
+   * @returns {boolean} True if the member has the role
+   */
+  hasRole(roleId) {
+    return this.roles.includes(roleId);
+  }
+
+  /**
+   * Get the member's mention string
+   * @returns {string} The member mention string
+   */
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+module.exports = GuildMember;
@@ -0,0 +1,24 @@
+/**
+ * Represents an interaction that failed or got no answer in time
+ * @extends Error
+ */
+class InteractionError extends Error {
+  /**
+   * Create a new InteractionError
+   * @param {string} message - The error message
+   * @param {string} reason - `failure` if Discord reported INTERACTION_FAILURE, `timeout` otherwise
+   * @param {string} nonce - The nonce the interaction was sent with
+   * @param {string|null} [interactionId=null] - The interaction ID, if Discord created the interaction
+   * @param {number|null} [reasonCode=null] - The failure reason code sent by Discord
+   */
+  constructor(message, reason, nonce, interactionId = null, reasonCode = null) {
+    super(message);
+    this.name = "InteractionError";
+    this.reason = reason;
+    this.nonce = nonce;
+    this.interactionId = interactionId;
+    this.reasonCode = reasonCode;
+  }
+}
+
+module.exports = InteractionError;
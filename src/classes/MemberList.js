@@ -0,0 +1,177 @@
+const { murmurhash3 } = require("../util/MurmurHash");
+
+// Permission bits
+const ADMINISTRATOR = 1n << 3n;
+const VIEW_CHANNEL = 1n << 10n;
+
+/**
+ * The member sidebar of a guild channel, kept in sync through
+ * GUILD_MEMBER_LIST_UPDATE dispatches after a lazy subscription (op 14).
+ *
+ * The list is an ordered array of items, each either a group header
+ * (`{ group: { id, count } }`) or a member (`{ member: { user, roles, presence, ... } }`).
+ * Ranges that were never synced, or were invalidated, are left empty.
+ */
+class MemberList {
+  /**
+   * Create a new MemberList
+   * @param {Guild} guild - The guild the list belongs to
+   * @param {string} id - The list ID sent by Discord
+   */
+  constructor(guild, id) {
+    this.guild = guild;
+    this.id = id;
+    this.items = [];
+    this.groups = [];
+    this.memberCount = 0;
+    this.onlineCount = 0;
+  }
+
+  /**
+   * The ID of the member list Discord sends for a channel, computed like the official
+   * client does: `everyone` if @everyone can view the channel, otherwise a hash of the
+   * permission overwrites that allow or deny viewing it
+   * @param {Channel} channel - The channel
+   * @param {Guild} guild - The channel's guild
+   * @returns {string} The list ID
+   */
+  static computeId(channel, guild) {
+    const overwrites = channel.data.permission_overwrites || [];
+    const everyoneRole = (guild.data.roles || []).find(
+      (role) => role.id === guild.id,
+    );
+    // Without role data, assume @everyone can view channels like it does by default
+    const base = everyoneRole
+      ? BigInt(everyoneRole.permissions || 0)
+      : VIEW_CHANNEL;
+    const everyoneOverwrite = overwrites.find(
+      (overwrite) => overwrite.id === guild.id,
+    );
+
+    let everyoneCanView = (base & (ADMINISTRATOR | VIEW_CHANNEL)) !== 0n;
+    if (!(base & ADMINISTRATOR) && everyoneOverwrite) {
+      if (BigInt(everyoneOverwrite.deny || 0) & VIEW_CHANNEL) {
+        everyoneCanView = false;
+      }
+      if (BigInt(everyoneOverwrite.allow || 0) & VIEW_CHANNEL) {
+        everyoneCanView = true;
+      }
+    }
+    if (everyoneCanView) return "everyone";
+
+    const entries = [];
+    for (const overwrite of overwrites) {
+      if (BigInt(overwrite.allow || 0) & VIEW_CHANNEL) {
+        entries.push(`allow:${overwrite.id}`);
+      } else if (BigInt(overwrite.deny || 0) & VIEW_CHANNEL) {
+        entries.push(`deny:${overwrite.id}`);
+      }
+    }
+    return String(murmurhash3(entries.sort().join(",")));
+  }
+
+  /**
+   * Apply a GUILD_MEMBER_LIST_UPDATE payload
+   * @param {object} data - The dispatch data
+   * @returns {MemberList} This list
+   * @private
+   */
+  _apply(data) {
+    if (data.groups) this.groups = data.groups;
+    if (data.member_count !== undefined) this.memberCount = data.member_count;
+    if (data.online_count !== undefined) this.onlineCount = data.online_count;
+
+    for (const op of data.ops || []) {
+      switch (op.op) {
+        case "SYNC": {
+          const [start, end] = op.range;
+          for (let index = start; index <= end; index++) {
+            this.items[index] = op.items[index - start];
+          }
+          op.items.forEach((item) => this.cacheItem(item));
+          break;
+        }
+        case "INSERT":
+          this.items.splice(op.index, 0, op.item);
+          this.cacheItem(op.item);
+          break;
+        case "UPDATE":
+          this.items[op.index] = op.item;
+          this.cacheItem(op.item);
+          break;
+        case "DELETE":
+          this.items.splice(op.index, 1);
+          break;
+        case "INVALIDATE": {
+          const [start, end] = op.range;
+          for (let index = start; index <= end; index++) {
+            this.items[index] = undefined;
+          }
+          break;
+        }
+      }
+    }
+
+    // Drop empty slots past the end so the length follows the real list
+    while (this.items.length > 0 && !this.items[this.items.length - 1]) {
+      this.items.pop();
+    }
+    return this;
+  }
+
+  /**
+   * Add the member of a list item to the guild's member cache
+   * @private
+   */
+  cacheItem(item) {
+    if (!item || !item.member) return;
+    // Presences aren't part of the member object
+    const member = { ...item.member };
+    delete member.presence;
+    this.guild._addMember(member);
+  }
+
+  /**
+   * Total number of items (group headers and members) in the full list
+   * @type {number}
+   * @readonly
+   */
+  get size() {
+    return this.groups.reduce((total, group) => total + 1 + group.count, 0);
+  }
+
+  /**
+   * The synced members, in sidebar order
+   * @type {Array<GuildMember>}
+   * @readonly
+   */
+  get members() {
+    return this.items
+      .filter((item) => item && item.member)
+      .map((item) => this.guild.members.get(item.member.user.id))
+      .filter(Boolean);
+  }
+
+  /**
+   * The synced sidebar, as groups in order with their members
+   * @returns {Array<{id: string, count: number, members: Array<GuildMember>}>} The groups
+   */
+  getSidebar() {
+    const sidebar = [];
+    let current = null;
+
+    for (const item of this.items) {
+      if (!item) continue;
+      if (item.group) {
+        current = { ...item.group, members: [] };
+        sidebar.push(current);
+      } else if (item.member && current) {
+        const member = this.guild.members.get(item.member.user.id);
+        if (member) current.members.push(member);
+      }
+    }
+    return sidebar;
+  }
+}
+
+module.exports = MemberList;
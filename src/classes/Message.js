@@ -1,4 +1,10 @@
 const WebSocketError = require("./WebSocketError");
+const ReactionCollector = require("./ReactionCollector");
+const Emoji = require("../util/Emoji");
+const Button = require("./Button");
+const SelectMenu = require("./SelectMenu");
+const Components = require("../util/Components");
+const { ComponentTypes } = require("../util/Constants");
 
 /**
  * Represents a Discord message
@@ -8,10 +14,31 @@ class Message {
    * Create a new Message instance
    * @param {Client} client - The Discord client
    * @param {object} data - Raw message data from Discord API
+   * @param {boolean} [partial=false] - Whether only part of the message is known (e.g. an uncached deleted message)
    */
-  constructor(client, data) {
+  constructor(client, data, partial = false) {
     this.client = client;
-    this.data = data;
+    this.data = {};
+    this.partial = partial;
+    this.deleted = false;
+    this._patch(data);
+
+    this.components = this.components || [];
+    this.attachments = this.attachments || [];
+    this.embeds = this.embeds || [];
+    this.mentions = this.mentions || [];
+    this.mentionRoles = this.mentionRoles || [];
+    this.reactions = this.reactions || [];
+  }
+
+  /**
+   * Update this message in place with (possibly partial) data from Discord
+   * @param {object} data - Raw message data
+   * @returns {Message} This message
+   * @private
+   */
+  _patch(data) {
+    this.data = { ...this.data, ...data };
 
     for (const [key, value] of Object.entries(data)) {
       const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
@@ -19,13 +46,25 @@ class Message {
       );
       this[camelKey] = value;
     }
+    if (data.components) {
+      this.components = data.components.map(Components.create);
+    }
 
-    this.components = this.components || [];
-    this.attachments = this.attachments || [];
-    this.embeds = this.embeds || [];
-    this.mentions = this.mentions || [];
-    this.mentionRoles = this.mentionRoles || [];
-    this.reactions = this.reactions || [];
+    if (this.partial && this.data.author) {
+      this.partial = false;
+    }
+    return this;
+  }
+
+  /**
+   * Create a snapshot of this message, used as the "old" message in update events
+   * @returns {Message} A copy of this message
+   * @private
+   */
+  _clone() {
+    const clone = new Message(this.client, { ...this.data }, this.partial);
+    clone.deleted = this.deleted;
+    return clone;
   }
 
   /**
@@ -51,45 +90,288 @@ class Message {
 
   /**
    * React to this message
-   * @param {string} emoji - The emoji to react with
+   * @param {string|object} emoji - The emoji to react with (unicode, `name:id`, `<:name:id>` or an emoji object)
+   * @param {object} [options={}] - Reaction options
+   * @param {boolean} [options.burst=false] - Whether to add a burst (super) reaction
    * @returns {Promise<void>}
    */
-  async react(emoji) {
-    return await this.client.rest.react(this.channelId, this.id, emoji);
+  async react(emoji, options = {}) {
+    return await this.client.rest.react(
+      this.channelId,
+      this.id,
+      emoji,
+      options,
+    );
   }
 
   /**
-   * Click a button on this message
-   * @param {null|number|string} [input=null] - Button to click (null for first, number for index, string for custom ID)
+   * Remove a reaction from this message
+   * @param {string|object} emoji - The reaction's emoji
+   * @param {string} [userId="@me"] - The user whose reaction to remove, `@me` for our own
+   * @param {object} [options={}] - Reaction options
+   * @param {boolean} [options.burst=false] - Whether to remove a burst (super) reaction
    * @returns {Promise<void>}
-   * @throws {Error} If no buttons found or invalid input
    */
-  async clickButton(input = null) {
-    let customId = null;
+  async removeReaction(emoji, userId = "@me", options = {}) {
+    return await this.client.rest.removeReaction(
+      this.channelId,
+      this.id,
+      emoji,
+      userId,
+      options,
+    );
+  }
 
-    // Get all buttons from components
-    const buttons = [];
-    if (this.data.components && Array.isArray(this.data.components)) {
-      for (const row of this.data.components) {
-        if (row.components && Array.isArray(row.components)) {
-          for (const component of row.components) {
-            if (component.type === 2 && component.custom_id) {
-              // Type 2 is button
-              buttons.push(component);
-            }
-          }
-        }
-      }
+  /**
+   * Remove every reaction from this message, or only those of one emoji
+   * @param {string|object} [emoji] - Only remove reactions with this emoji
+   * @returns {Promise<void>}
+   */
+  async removeAllReactions(emoji) {
+    if (emoji) {
+      return await this.client.rest.removeReactionEmoji(
+        this.channelId,
+        this.id,
+        emoji,
+      );
     }
+    return await this.client.rest.removeAllReactions(this.channelId, this.id);
+  }
 
-    if (buttons.length === 0) {
-      throw new Error("No buttons found in message");
+  /**
+   * Fetch the users who reacted with an emoji, page by page
+   * @param {string|object} emoji - The reaction's emoji
+   * @param {object} [options={}] - Fetch options
+   * @param {number} [options.limit=Infinity] - Maximum number of users to fetch
+   * @param {string} [options.after] - Start after this user ID
+   * @param {boolean} [options.burst=false] - Fetch burst (super) reactions instead of normal ones
+   * @returns {Promise<Array>} Array of user data
+   */
+  async fetchReactionUsers(emoji, options = {}) {
+    const { limit = Infinity, burst = false } = options;
+    const users = [];
+    let after = options.after;
+
+    while (users.length < limit) {
+      const pageSize = Math.min(100, limit - users.length);
+      const page = await this.client.rest.fetchReactions(
+        this.channelId,
+        this.id,
+        emoji,
+        { limit: pageSize, after, burst },
+      );
+      users.push(...page);
+      if (page.length < pageSize) break;
+      after = page[page.length - 1].id;
     }
+    return users;
+  }
 
-    // Handle different input types
-    if (input === null) {
-      // No input: click first button
-      customId = buttons[0].custom_id;
+  /**
+   * Create a collector for reactions added to this message
+   * @param {object} [options={}] - Collector options
+   * @param {Function} [options.filter] - Only collect reactions this returns true for, called with `(reaction, user)`
+   * @param {number} [options.max] - End after collecting this many reactions
+   * @param {number} [options.time] - End after this many ms
+   * @param {number} [options.idle] - End after this many ms without a new reaction
+   * @returns {ReactionCollector} The collector
+   */
+  createReactionCollector(options = {}) {
+    return new ReactionCollector(this, options);
+  }
+
+  /**
+   * Wait for reactions on this message
+   * @param {object} [options={}] - Collector options, see {@link Message#createReactionCollector}
+   * @param {Array<string>} [options.errors=[]] - End reasons (e.g. `time`) that reject instead of resolving
+   * @returns {Promise<Map<string, object>>} The collected reactions by `emoji:userId`
+   * @throws {CollectorError} If the collector ended for one of `options.errors`
+   */
+  awaitReactions(options = {}) {
+    const { errors = [], ...collectorOptions } = options;
+    return this.createReactionCollector(collectorOptions).awaitEnd(errors);
+  }
+
+  /**
+   * Get a reaction on this message from the cached reaction counts
+   * @param {string|object} emoji - The reaction's emoji
+   * @returns {object|null} The raw reaction data or null if nobody reacted with it
+   */
+  getReaction(emoji) {
+    return (
+      this.reactions.find((reaction) => Emoji.equals(reaction.emoji, emoji)) ||
+      null
+    );
+  }
+
+  /**
+   * Count a reaction from a gateway event. Reactions are replaced rather than
+   * mutated so snapshots from {@link Message#_clone} keep their counts.
+   * @param {object} emoji - The reaction's emoji
+   * @param {boolean} me - Whether the reaction is ours
+   * @param {boolean} burst - Whether it's a burst (super) reaction
+   * @param {Array<string>} [burstColors] - Burst colors sent with the event
+   * @returns {object} The updated raw reaction data
+   * @private
+   */
+  _addReaction(emoji, me, burst, burstColors) {
+    const existing = this.getReaction(emoji);
+    const details = existing
+      ? existing.count_details || { normal: existing.count, burst: 0 }
+      : { normal: 0, burst: 0 };
+
+    const reaction = {
+      emoji,
+      burst_colors: [],
+      me: false,
+      me_burst: false,
+      ...existing,
+      count_details: {
+        normal: details.normal + (burst ? 0 : 1),
+        burst: details.burst + (burst ? 1 : 0),
+      },
+    };
+    reaction.count =
+      reaction.count_details.normal + reaction.count_details.burst;
+    if (me) {
+      reaction[burst ? "me_burst" : "me"] = true;
+    }
+    if (burst && burstColors && burstColors.length > 0) {
+      reaction.burst_colors = burstColors;
+    }
+
+    this._setReactions(
+      existing
+        ? this.reactions.map((entry) => (entry === existing ? reaction : entry))
+        : [...this.reactions, reaction],
+    );
+    return reaction;
+  }
+
+  /**
+   * Uncount a reaction from a gateway event
+   * @param {object} emoji - The reaction's emoji
+   * @param {boolean} me - Whether the reaction was ours
+   * @param {boolean} burst - Whether it was a burst (super) reaction
+   * @returns {object|null} The updated raw reaction data, or null if no reactions with this emoji are left
+   * @private
+   */
+  _removeReaction(emoji, me, burst) {
+    const existing = this.getReaction(emoji);
+    if (!existing) return null;
+
+    const details = existing.count_details || {
+      normal: existing.count,
+      burst: 0,
+    };
+    const reaction = {
+      ...existing,
+      count_details: {
+        normal: Math.max(0, details.normal - (burst ? 0 : 1)),
+        burst: Math.max(0, details.burst - (burst ? 1 : 0)),
+      },
+    };
+    reaction.count =
+      reaction.count_details.normal + reaction.count_details.burst;
+    if (me) {
+      reaction[burst ? "me_burst" : "me"] = false;
+    }
+
+    if (reaction.count === 0) {
+      this._setReactions(this.reactions.filter((entry) => entry !== existing));
+      return null;
+    }
+    this._setReactions(
+      this.reactions.map((entry) => (entry === existing ? reaction : entry)),
+    );
+    return reaction;
+  }
+
+  /**
+   * Drop every reaction, or every reaction of one emoji
+   * @param {object} [emoji] - Only drop reactions with this emoji
+   * @returns {Array<object>} The dropped raw reaction data
+   * @private
+   */
+  _clearReactions(emoji) {
+    const removed = emoji
+      ? this.reactions.filter((reaction) => Emoji.equals(reaction.emoji, emoji))
+      : this.reactions;
+    this._setReactions(
+      this.reactions.filter((reaction) => !removed.includes(reaction)),
+    );
+    return removed;
+  }
+
+  /**
+   * Replace the reactions, keeping `data.reactions` in sync
+   * @private
+   */
+  _setReactions(reactions) {
+    this.data.reactions = reactions;
+    this.reactions = reactions;
+  }
+
+  /**
+   * Every button on this message, including those nested in Components V2 containers
+   * and section accessories, in display order
+   * @type {Array<Button>}
+   * @readonly
+   */
+  get buttons() {
+    return Components.flatten(this.components).filter(
+      (component) => component instanceof Button,
+    );
+  }
+
+  /**
+   * Every select menu on this message, including those nested in Components V2 containers
+   * @type {Array<SelectMenu>}
+   * @readonly
+   */
+  get selectMenus() {
+    return Components.flatten(this.components).filter(
+      (component) => component instanceof SelectMenu,
+    );
+  }
+
+  /**
+   * Find a button on this message
+   * @param {object|Function} query - Criteria for {@link Button#matches}
+   * (`{ label, emoji, style, customId, disabled }`), or a predicate called with each button
+   * @returns {Button|null} The first matching button, or null
+   */
+  findButton(query) {
+    const matches =
+      typeof query === "function" ? query : (button) => button.matches(query);
+    return this.buttons.find((button) => matches(button)) || null;
+  }
+
+  /**
+   * Click a button on this message and wait for the bot's answer. Buttons nested in
+   * Components V2 containers and sections count too
+   * @param {null|number|string|Function|object} [input=null] - Button to click: null for the first
+   * enabled button, a number for an index among buttons with a custom ID, a string for a custom ID
+   * or label, a predicate called with each {@link Button}, a {@link Button}, or a {@link Message#findButton} query
+   * @param {object} [options={}] - How to wait for the answer, see {@link InteractionTracker#track}
+   * @returns {Promise<object>} The outcome: `{ id, nonce, message, modal, deferred, ephemeral }`
+   * @throws {Error} If no button matches, it is disabled or a link button, or the input is invalid
+   * @throws {InteractionError} If the interaction fails or gets no answer in time
+   */
+  async clickButton(input = null, options = {}) {
+    let button = null;
+    let customId = null;
+
+    // Buttons that send interactions, i.e. not link buttons
+    const buttons = this.buttons.filter((candidate) => candidate.customId);
+
+    if (input instanceof Button) {
+      button = input;
+    } else if (buttons.length === 0) {
+      throw new Error("No buttons found in message");
+    } else if (input === null) {
+      // No input: click first enabled button
+      button = buttons.find((candidate) => !candidate.disabled) || buttons[0];
     } else if (typeof input === "number") {
       // Integer input: click button at that index
       if (input < 0 || input >= buttons.length) {
@@ -99,12 +381,34 @@ class Message {
           } button(s) (0-${buttons.length - 1})`,
         );
       }
-      customId = buttons[input].custom_id;
+      button = buttons[input];
     } else if (typeof input === "string") {
-      // String input: use as custom_id directly (preserving original behavior)
-      customId = input;
+      // String input: a custom ID, else a label. Unknown strings are sent as the custom ID
+      button =
+        this.findButton({ customId: input }) ||
+        this.findButton({ label: input });
+      if (!button) customId = input;
+    } else if (typeof input === "function" || typeof input === "object") {
+      button = this.findButton(input);
+      if (!button) {
+        throw new Error("No button matching the query found in message");
+      }
     } else {
-      throw new Error("Invalid input type. Expected null, number, or string.");
+      throw new Error(
+        "Invalid input type. Expected null, number, string, function, or object.",
+      );
+    }
+
+    if (button) {
+      if (!button.customId) {
+        throw new Error(
+          `Button "${button.label || button.url}" is a link and can't be clicked`,
+        );
+      }
+      if (button.disabled) {
+        throw new Error(`Button "${button.customId}" is disabled`);
+      }
+      customId = button.customId;
     }
 
     // Get required data for button interaction
@@ -117,14 +421,113 @@ class Message {
       );
     }
 
-    return await this.client.rest.clickButton(
-      this.channelId,
-      this.id,
-      applicationId,
-      this.guildId,
-      customId,
-      this.client.sessionId,
-      messageFlags,
+    return await this.client.interactions.run(
+      (nonce) =>
+        this.client.rest.clickButton(
+          this.channelId,
+          this.id,
+          applicationId,
+          this.guildId,
+          customId,
+          this.client.sessionId,
+          messageFlags,
+          nonce,
+        ),
+      { ...options, messageId: this.id },
+    );
+  }
+
+  /**
+   * Choose values in a select menu on this message and wait for the bot's answer.
+   * Works with string, user, role, mentionable and channel selects, including those
+   * nested in Components V2 containers
+   * @param {null|number|string} [input=null] - Select menu to use (null for first, number for index, string for custom ID)
+   * @param {string|object|Array<string|object>} [values=[]] - Values to choose. For string selects, option values
+   * or labels; for other selects, IDs or objects with an `id` (users, roles, channels)
+   * @param {object} [options={}] - How to wait for the answer, see {@link InteractionTracker#track}
+   * @returns {Promise<object>} The outcome: `{ id, nonce, message, modal, deferred, ephemeral }`
+   * @throws {Error} If no select menu matches, it is disabled, or the values are invalid for it
+   * @throws {InteractionError} If the interaction fails or gets no answer in time
+   */
+  async selectMenu(input = null, values = [], options = {}) {
+    const selects = this.selectMenus.filter((component) => component.customId);
+
+    if (selects.length === 0) {
+      throw new Error("No select menus found in message");
+    }
+
+    let select;
+    if (input === null) {
+      select = selects[0];
+    } else if (typeof input === "number") {
+      if (input < 0 || input >= selects.length) {
+        throw new Error(
+          `Select menu index ${input} out of range. Message has ${
+            selects.length
+          } select menu(s) (0-${selects.length - 1})`,
+        );
+      }
+      select = selects[input];
+    } else if (typeof input === "string") {
+      select = selects.find((component) => component.customId === input);
+      if (!select) {
+        throw new Error(`No select menu with custom ID "${input}" in message`);
+      }
+    } else {
+      throw new Error("Invalid input type. Expected null, number, or string.");
+    }
+
+    if (select.disabled) {
+      throw new Error(`Select menu "${select.customId}" is disabled`);
+    }
+
+    const resolved = [].concat(values).map((value) => {
+      if (select.type !== ComponentTypes.STRING_SELECT) {
+        return typeof value === "object" && value !== null
+          ? value.id
+          : String(value);
+      }
+      const option = select.options.find(
+        (candidate) => candidate.value === value || candidate.label === value,
+      );
+      if (!option) {
+        throw new Error(
+          `Select menu "${select.customId}" has no option "${value}"`,
+        );
+      }
+      return option.value;
+    });
+
+    const { minValues, maxValues } = select;
+    if (resolved.length < minValues || resolved.length > maxValues) {
+      throw new Error(
+        `Select menu "${select.customId}" takes ${minValues}-${maxValues} value(s), got ${resolved.length}`,
+      );
+    }
+
+    const applicationId = this.data.application_id || this.author.id;
+    const messageFlags = this.data.flags || 0;
+
+    if (!this.client.sessionId) {
+      throw new WebSocketError(
+        "No session ID available - client not properly connected",
+      );
+    }
+
+    return await this.client.interactions.run(
+      (nonce) =>
+        this.client.rest.selectMenu(
+          this.channelId,
+          this.id,
+          applicationId,
+          this.guildId,
+          select.data,
+          resolved,
+          this.client.sessionId,
+          messageFlags,
+          nonce,
+        ),
+      { ...options, messageId: this.id },
     );
   }
 }
@@ -0,0 +1,28 @@
+const Collector = require("./Collector");
+
+/**
+ * Collects messages sent in a channel. Collected messages are keyed by message ID.
+ * Ends with the reason `channelDelete` if the channel is deleted.
+ * @extends Collector
+ */
+class MessageCollector extends Collector {
+  /**
+   * Create a new MessageCollector instance
+   * @param {Channel} channel - The channel to collect messages from
+   * @param {object} [options={}] - Collector options, see {@link Collector}
+   */
+  constructor(channel, options = {}) {
+    super(channel.client, options);
+    this.channel = channel;
+
+    this.listen("messageCreate", (message) => {
+      if (message.channelId !== this.channel.id) return;
+      this.handleCollect(message.id, message);
+    });
+    this.listen("channelDelete", (deleted) => {
+      if (deleted.id === this.channel.id) this.stop("channelDelete");
+    });
+  }
+}
+
+module.exports = MessageCollector;
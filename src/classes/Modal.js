@@ -0,0 +1,187 @@
+const WebSocketError = require("./WebSocketError");
+const Components = require("../util/Components");
+const { ComponentTypes } = require("../util/Constants");
+
+/**
+ * Represents a modal a bot opened in answer to one of our interactions
+ * (INTERACTION_MODAL_CREATE)
+ */
+class Modal {
+  /**
+   * Create a new Modal instance
+   * @param {Client} client - The Discord client
+   * @param {object} data - Raw modal data from the INTERACTION_MODAL_CREATE dispatch
+   */
+  constructor(client, data) {
+    this.client = client;
+    this.data = data;
+
+    for (const [key, value] of Object.entries(data)) {
+      const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+        letter.toUpperCase(),
+      );
+      this[camelKey] = value;
+    }
+
+    this.components = (data.components || []).map(Components.create);
+    this.applicationId = data.application ? data.application.id : null;
+  }
+
+  /**
+   * The channel the modal was opened in
+   * @type {Channel|null}
+   * @readonly
+   */
+  get channel() {
+    if (!this.channelId) return null;
+    return this.client.getChannel(this.channelId);
+  }
+
+  /**
+   * The ID of the guild the modal was opened in, or null in DMs
+   * @type {string|null}
+   * @readonly
+   */
+  get guildId() {
+    if (this.data.guild_id) return this.data.guild_id;
+    const channel = this.channel;
+    return channel ? channel.data.guild_id || null : null;
+  }
+
+  /**
+   * The fields to fill in: text inputs, and select menus inside labels. Each field is
+   * `{ customId, type, label, required, value, options, minValues, maxValues }`, where
+   * `label` comes from the surrounding label component when there is one
+   * @type {Array<object>}
+   * @readonly
+   */
+  get fields() {
+    const fields = [];
+    for (const component of Components.flatten(this.data.components)) {
+      const input =
+        component.type === ComponentTypes.LABEL ? component.component : null;
+      const field = input || component;
+      if (
+        field.type !== ComponentTypes.TEXT_INPUT &&
+        !Components.SELECT_TYPES.includes(field.type)
+      ) {
+        continue;
+      }
+      // Inputs nested in a label are reached again on their own; keep the labelled one
+      if (fields.some((existing) => existing.customId === field.custom_id)) {
+        continue;
+      }
+      fields.push({
+        customId: field.custom_id,
+        type: field.type,
+        label: (input && component.label) || field.label || null,
+        // Discord treats every modal input as required unless told otherwise
+        required: field.required !== false,
+        value: field.value ?? null,
+        options: field.options || [],
+        minValues: field.min_values ?? null,
+        maxValues: field.max_values ?? null,
+      });
+    }
+    return fields;
+  }
+
+  /**
+   * Fill in and submit this modal, then wait for the bot's answer
+   * @param {object} [values={}] - Values by field custom ID: a string for text inputs,
+   * a string or array of strings for select menus. Unset fields keep their prefilled value
+   * @param {object} [options={}] - How to wait for the answer, see {@link InteractionTracker#track}
+   * @returns {Promise<object>} The outcome: `{ id, nonce, message, modal, deferred, ephemeral }`
+   * @throws {Error} If a value is given for an unknown field or a required field is left empty
+   * @throws {InteractionError} If the interaction fails or gets no answer in time
+   */
+  async submit(values = {}, options = {}) {
+    const fields = this.fields;
+    for (const customId of Object.keys(values)) {
+      if (!fields.some((field) => field.customId === customId)) {
+        throw new Error(`Modal "${this.customId}" has no field "${customId}"`);
+      }
+    }
+
+    const submitted = new Map();
+    for (const field of fields) {
+      let value = values[field.customId] ?? field.value;
+      if (field.type === ComponentTypes.TEXT_INPUT) {
+        value = value == null ? "" : String(value);
+      } else {
+        value = value == null ? [] : [].concat(value).map(String);
+      }
+      if (field.required && value.length === 0) {
+        throw new Error(`Field "${field.customId}" is required`);
+      }
+      submitted.set(field.customId, value);
+    }
+
+    if (!this.client.sessionId) {
+      throw new WebSocketError(
+        "No session ID available - client not properly connected",
+      );
+    }
+
+    const components = this.buildSubmission(
+      this.data.components || [],
+      submitted,
+    );
+    return await this.client.interactions.run(
+      (nonce) =>
+        this.client.rest.submitModal(
+          this.channelId,
+          this.guildId,
+          this.applicationId,
+          this.id,
+          this.customId,
+          components,
+          this.client.sessionId,
+          nonce,
+        ),
+      options,
+    );
+  }
+
+  /**
+   * Mirror the modal's layout with the submitted values, keeping only inputs and
+   * the action rows and labels around them
+   * @private
+   */
+  buildSubmission(components, submitted) {
+    const result = [];
+    for (const component of components) {
+      if (component.type === ComponentTypes.ACTION_ROW) {
+        const children = this.buildSubmission(
+          component.components || [],
+          submitted,
+        );
+        if (children.length > 0) {
+          result.push({ type: component.type, components: children });
+        }
+      } else if (component.type === ComponentTypes.LABEL) {
+        const [child] = this.buildSubmission(
+          component.component ? [component.component] : [],
+          submitted,
+        );
+        if (child) {
+          result.push({ type: component.type, component: child });
+        }
+      } else if (submitted.has(component.custom_id)) {
+        const value = submitted.get(component.custom_id);
+        result.push(
+          component.type === ComponentTypes.TEXT_INPUT
+            ? { type: component.type, custom_id: component.custom_id, value }
+            : {
+                type: component.type,
+                custom_id: component.custom_id,
+                values: value,
+              },
+        );
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = Modal;
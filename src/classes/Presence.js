@@ -0,0 +1,152 @@
+const Emoji = require("../util/Emoji");
+
+/**
+ * Valid statuses for presence updates
+ * @type {string[]}
+ */
+const STATUSES = ["online", "idle", "dnd", "invisible", "offline"];
+
+/**
+ * Activity types: 0 Playing, 1 Streaming, 2 Listening, 3 Watching, 4 Custom, 5 Competing
+ * @type {number[]}
+ */
+const ACTIVITY_TYPES = [0, 1, 2, 3, 4, 5];
+
+/**
+ * Represents a user's presence, either in a guild or (for friends) globally
+ */
+class Presence {
+  /**
+   * Create a new Presence instance
+   * @param {Client} client - The Discord client
+   * @param {object} data - Raw presence data
+   */
+  constructor(client, data) {
+    this.client = client;
+    this.data = {};
+    this.activities = [];
+    this.clientStatus = {};
+    this._patch(data);
+  }
+
+  /**
+   * Update this presence in place with data from Discord
+   * @param {object} data - Raw presence data
+   * @returns {Presence} This presence
+   * @private
+   */
+  _patch(data) {
+    this.data = { ...this.data, ...data };
+
+    for (const [key, value] of Object.entries(data)) {
+      const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+        letter.toUpperCase(),
+      );
+      this[camelKey] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Create a snapshot of this presence, used as the "old" presence in update events
+   * @returns {Presence} A copy of this presence
+   * @private
+   */
+  _clone() {
+    return new Presence(this.client, { ...this.data });
+  }
+
+  /**
+   * The user ID this presence belongs to
+   * @type {string|null}
+   * @readonly
+   */
+  get userId() {
+    return this.user ? this.user.id : null;
+  }
+
+  /**
+   * The custom status activity, if any
+   * @type {object|null}
+   * @readonly
+   */
+  get customStatus() {
+    return this.activities.find((activity) => activity.type === 4) || null;
+  }
+
+  /**
+   * Validate and normalize an activity for a presence update
+   * @param {object} activity - The activity
+   * @returns {object} The activity in gateway format
+   * @throws {Error} If the activity is invalid
+   */
+  static resolveActivity(activity) {
+    if (!activity || typeof activity !== "object") {
+      throw new Error("Activity must be an object");
+    }
+
+    const type = activity.type ?? 0;
+    if (!ACTIVITY_TYPES.includes(type)) {
+      throw new Error(
+        `Invalid activity type ${type}. Expected one of ${ACTIVITY_TYPES.join(", ")}.`,
+      );
+    }
+
+    if (type === 4) {
+      if (!activity.state && !activity.emoji) {
+        throw new Error("A custom status needs a state or an emoji");
+      }
+      const resolved = { type, name: "Custom Status" };
+      if (activity.state) resolved.state = activity.state;
+      if (activity.emoji)
+        resolved.emoji = Presence.resolveEmoji(activity.emoji);
+      return resolved;
+    }
+
+    if (!activity.name) {
+      throw new Error("Activity name is required");
+    }
+    if (type === 1 && !activity.url) {
+      throw new Error("Streaming activities need a url");
+    }
+    return { ...activity, type };
+  }
+
+  /**
+   * Normalize an emoji for a custom status
+   * @param {string|object} emoji - A unicode emoji, a `<:name:id>` string or `{ name, id, animated }`
+   * @returns {object} The emoji in gateway format
+   */
+  static resolveEmoji(emoji) {
+    return Emoji.parse(emoji);
+  }
+
+  /**
+   * Validate and normalize a presence for op 3
+   * @param {object} presence - The presence
+   * @returns {object} The presence in gateway format
+   * @throws {Error} If the presence is invalid
+   */
+  static resolve(presence) {
+    const status = presence.status || "online";
+    if (!STATUSES.includes(status)) {
+      throw new Error(
+        `Invalid status "${status}". Expected one of ${STATUSES.join(", ")}.`,
+      );
+    }
+
+    return {
+      status,
+      since: presence.since || 0,
+      activities: (presence.activities || []).map((activity) =>
+        Presence.resolveActivity(activity),
+      ),
+      afk: Boolean(presence.afk),
+    };
+  }
+}
+
+Presence.STATUSES = STATUSES;
+Presence.ACTIVITY_TYPES = ACTIVITY_TYPES;
+
+module.exports = Presence;
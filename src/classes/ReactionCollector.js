@@ -0,0 +1,37 @@
+const Collector = require("./Collector");
+
+/**
+ * Collects reactions added to a message. Each collected reaction is the
+ * `messageReactionAdd` reaction with its `user`, keyed by `emoji:userId`.
+ * Ends with the reason `messageDelete` or `channelDelete` if the message or its
+ * channel is deleted.
+ * @extends Collector
+ */
+class ReactionCollector extends Collector {
+  /**
+   * Create a new ReactionCollector instance
+   * @param {Message} message - The message to collect reactions on
+   * @param {object} [options={}] - Collector options, see {@link Collector}. The filter receives `(reaction, user)`
+   */
+  constructor(message, options = {}) {
+    super(message.client, options);
+    this.message = message;
+
+    this.listen("messageReactionAdd", (reaction, user) => {
+      if (reaction.message.id !== this.message.id) return;
+      const key = `${reaction.emoji.id || reaction.emoji.name}:${user.id}`;
+      this.handleCollect(key, { ...reaction, user }, user);
+    });
+    this.listen("messageDelete", (deleted) => {
+      if (deleted.id === this.message.id) this.stop("messageDelete");
+    });
+    this.listen("messageDeleteBulk", (deleted) => {
+      if (deleted.has(this.message.id)) this.stop("messageDelete");
+    });
+    this.listen("channelDelete", (channel) => {
+      if (channel.id === this.message.channelId) this.stop("channelDelete");
+    });
+  }
+}
+
+module.exports = ReactionCollector;
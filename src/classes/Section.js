@@ -0,0 +1,22 @@
+const Component = require("./Component");
+
+/**
+ * A Components V2 section (component type 9): text displays with an accessory,
+ * usually a button or thumbnail, next to them
+ * @extends Component
+ */
+class Section extends Component {
+  /**
+   * Create a new Section instance
+   * @param {object} data - Raw component data
+   * @param {Array<Component>} [components=[]] - The section's text displays, already built
+   * @param {Component|null} [accessory=null] - The accessory, already built
+   */
+  constructor(data, components = [], accessory = null) {
+    super(data);
+    this.components = components;
+    this.accessory = accessory;
+  }
+}
+
+module.exports = Section;
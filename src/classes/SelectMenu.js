@@ -0,0 +1,22 @@
+const Component = require("./Component");
+
+/**
+ * A select menu: string (type 3), user (5), role (6), mentionable (7) or channel (8)
+ * @extends Component
+ */
+class SelectMenu extends Component {
+  /**
+   * Create a new SelectMenu instance
+   * @param {object} data - Raw component data
+   */
+  constructor(data) {
+    super(data);
+    this.placeholder = data.placeholder || null;
+    this.options = data.options || [];
+    this.minValues = data.min_values ?? 1;
+    this.maxValues = data.max_values ?? 1;
+    this.disabled = Boolean(data.disabled);
+  }
+}
+
+module.exports = SelectMenu;
@@ -0,0 +1,18 @@
+const Component = require("./Component");
+
+/**
+ * A Components V2 block of markdown text (component type 10)
+ * @extends Component
+ */
+class TextDisplay extends Component {
+  /**
+   * Create a new TextDisplay instance
+   * @param {object} data - Raw component data
+   */
+  constructor(data) {
+    super(data);
+    this.content = data.content || "";
+  }
+}
+
+module.exports = TextDisplay;
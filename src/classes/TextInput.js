@@ -0,0 +1,21 @@
+const Component = require("./Component");
+
+/**
+ * A text input in a modal (component type 4)
+ * @extends Component
+ */
+class TextInput extends Component {
+  /**
+   * Create a new TextInput instance
+   * @param {object} data - Raw component data
+   */
+  constructor(data) {
+    super(data);
+    this.label = data.label || null;
+    this.placeholder = data.placeholder || null;
+    this.value = data.value ?? null;
+    this.required = data.required !== false;
+  }
+}
+
+module.exports = TextInput;
@@ -0,0 +1,66 @@
+/**
+ * Represents a user's voice connection state
+ */
+class VoiceState {
+  /**
+   * Create a new VoiceState instance
+   * @param {Client} client - The Discord client
+   * @param {object} data - Raw voice state data
+   */
+  constructor(client, data) {
+    this.client = client;
+    this.data = {};
+    this.guildId = null;
+    this.channelId = null;
+    this._patch(data);
+  }
+
+  /**
+   * Update this voice state in place with data from Discord
+   * @param {object} data - Raw voice state data
+   * @returns {VoiceState} This voice state
+   * @private
+   */
+  _patch(data) {
+    this.data = { ...this.data, ...data };
+
+    for (const [key, value] of Object.entries(data)) {
+      const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+        letter.toUpperCase(),
+      );
+      this[camelKey] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Create a snapshot of this voice state, used as the "old" state in update events
+   * @returns {VoiceState} A copy of this voice state
+   * @private
+   */
+  _clone() {
+    return new VoiceState(this.client, { ...this.data });
+  }
+
+  /**
+   * The voice channel the user is in, if cached
+   * @type {Channel|null}
+   * @readonly
+   */
+  get channel() {
+    if (!this.channelId) return null;
+    return this.client.channels.get(this.channelId) || null;
+  }
+
+  /**
+   * The guild of this voice state, if cached
+   * @type {Guild|null}
+   * @readonly
+   */
+  get guild() {
+    if (!this.guildId) return null;
+    return this.client.guilds.get(this.guildId) || null;
+  }
+}
+
+module.exports = VoiceState;
@@ -0,0 +1,133 @@
+const {
+  DefaultPacingOptions,
+  TYPING_REFRESH_INTERVAL,
+} = require("../../util/Constants");
+
+/**
+ * Delays outgoing messages like a person typing them: the typing indicator is shown
+ * for a time derived from the message length, and messages in the same channel are
+ * spaced out by a minimum gap. Messages to one channel are sent in order.
+ */
+class MessagePacer {
+  /**
+   * Create a new MessagePacer instance
+   * @param {RestManager} rest - The REST manager used to send typing indicators
+   * @param {object} [options={}] - Pacing options
+   * @param {number} [options.wordsPerMinute=80] - Typing speed, a word being 5 characters
+   * @param {number} [options.jitter=0.25] - Random variation of the typing time, as a fraction of it
+   * @param {number} [options.minTypingTime=800] - Shortest typing time, in ms
+   * @param {number} [options.maxTypingTime=12000] - Longest typing time, in ms
+   * @param {number|Function} [options.minGap=0] - Minimum time between two messages in the same channel, in ms,
+   * or a function receiving the channel ID and returning it
+   */
+  constructor(rest, options = {}) {
+    this.rest = rest;
+    this.options = { ...DefaultPacingOptions, ...options };
+    this.logger = rest.logger;
+    this.queues = new Map(); // channelId -> Promise of the last queued send
+    this.lastSent = new Map(); // channelId -> timestamp of the last send, until its gap has passed
+  }
+
+  /**
+   * How long to type a message for
+   * @param {string|object} payload - Message content or payload object
+   * @returns {number} The typing time in ms
+   */
+  typingTime(payload) {
+    const content =
+      typeof payload === "string"
+        ? payload
+        : (payload && payload.content) || "";
+    const { wordsPerMinute, jitter, minTypingTime, maxTypingTime } =
+      this.options;
+
+    const base = (content.length / 5 / wordsPerMinute) * 60000;
+    const varied = base * (1 + (Math.random() * 2 - 1) * jitter);
+    return Math.round(Math.min(maxTypingTime, Math.max(minTypingTime, varied)));
+  }
+
+  /**
+   * The minimum gap between two messages in a channel
+   * @param {string} channelId - The channel ID
+   * @returns {number} The gap in ms
+   */
+  gapFor(channelId) {
+    const { minGap } = this.options;
+    return typeof minGap === "function" ? minGap(channelId) || 0 : minGap;
+  }
+
+  /**
+   * Wait for the channel's gap, type for a while, then send
+   * @param {string} channelId - The channel ID
+   * @param {string|object} payload - Message content or payload object
+   * @param {Function} send - Sends the message and returns a promise of the result
+   * @returns {Promise<object>} The result of `send`
+   */
+  pace(channelId, payload, send) {
+    const previous = this.queues.get(channelId) || Promise.resolve();
+    const result = previous
+      .catch(() => {})
+      .then(() => this.run(channelId, payload, send));
+
+    this.queues.set(channelId, result);
+    // Forget settled queues so idle channels don't pile up
+    const forget = () => {
+      if (this.queues.get(channelId) === result) {
+        this.queues.delete(channelId);
+      }
+    };
+    result.then(forget, forget);
+    return result;
+  }
+
+  /**
+   * Pace a single send
+   * @private
+   */
+  async run(channelId, payload, send) {
+    const lastSent = this.lastSent.get(channelId) || 0;
+    const wait = lastSent + this.gapFor(channelId) - Date.now();
+    if (wait > 0) {
+      await this.rest.sleep(wait);
+    }
+
+    let remaining = this.typingTime(payload);
+    this.logger.debug("Pacing message", { channelId, typingTime: remaining });
+    while (remaining > 0) {
+      this.rest.sendTyping(channelId).catch((error) => {
+        this.logger.warn("Failed to send typing indicator", {
+          channelId,
+          error,
+        });
+      });
+      const step = Math.min(remaining, TYPING_REFRESH_INTERVAL);
+      await this.rest.sleep(step);
+      remaining -= step;
+    }
+
+    try {
+      return await send();
+    } finally {
+      this.recordSend(channelId);
+    }
+  }
+
+  /**
+   * Remember when a channel was last sent to, and forget channels whose gap has passed
+   * so the map only holds channels that still have to wait
+   * @private
+   */
+  recordSend(channelId) {
+    const now = Date.now();
+    for (const [id, sentAt] of this.lastSent) {
+      if (now - sentAt >= this.gapFor(id)) {
+        this.lastSent.delete(id);
+      }
+    }
+    if (this.gapFor(channelId) > 0) {
+      this.lastSent.set(channelId, now);
+    }
+  }
+}
+
+module.exports = MessagePacer;
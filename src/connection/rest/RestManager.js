@@ -1,7 +1,15 @@
 const sendMessage = require("./methods/sendMessage");
 const react = require("./methods/react");
 const clickButton = require("./methods/clickButton");
+const sendSlashCommand = require("./methods/sendSlashCommand");
+const selectMenu = require("./methods/selectMenu");
+const submitModal = require("./methods/submitModal");
+const MessagePacer = require("./MessagePacer");
 const DiscordAPIError = require("../../classes/DiscordAPIError");
+const ApplicationCommandIndex = require("../../classes/ApplicationCommandIndex");
+const Logger = require("../../util/Logger");
+const Emoji = require("../../util/Emoji");
+const { DefaultHttpOptions } = require("../../util/Constants");
 
 /**
  * Manages REST API requests to Discord with proper rate limiting
@@ -11,16 +19,43 @@ class RestManager {
    * Create a new RestManager instance
    * @param {string} token - Discord token
    * @param {number} [apiVersion=9] - Discord API version
+   * @param {object} [options={}] - REST options
+   * @param {string} [options.api="https://discord.com/api"] - Base URL of the API, without the version
+   * @param {Logger|Function|object} [options.logger] - A Logger instance, or a user logger (see {@link Logger})
+   * @param {boolean|object} [options.pacing=false] - Pace sent messages like a person typing, see {@link MessagePacer}
    */
-  constructor(token, apiVersion = 9) {
+  constructor(token, apiVersion = 9, options = {}) {
     this.token = token;
-    this.baseURL = `https://discord.com/api/v${apiVersion}`;
+    this.logger =
+      options.logger instanceof Logger
+        ? options.logger.child("rest")
+        : new Logger({ logger: options.logger, subsystem: "rest" });
+    const api = (options.api || DefaultHttpOptions.api).replace(/\/+$/, "");
+    this.baseURL = `${api}/v${apiVersion}`;
 
     // Rate limiting state
     this.rateLimits = new Map(); // endpoint -> { remaining, reset, retryAfter }
     this.globalRateLimit = null; // { reset }
     this.requestQueue = [];
     this.processingQueue = false;
+
+    // Application command indexes by scope: guild ID, "channel:<id>" or "@me"
+    this.commandIndexes = new Map(); // scope -> Promise<ApplicationCommandIndex>
+
+    this.setPacing(options.pacing);
+  }
+
+  /**
+   * Turn send pacing on, reconfigure it, or turn it off
+   * @param {boolean|object} pacing - `true` for the default pacing, pacing options (see {@link MessagePacer}), or `false`
+   * @returns {void}
+   */
+  setPacing(pacing) {
+    if (!pacing) {
+      this.pacer = null;
+      return;
+    }
+    this.pacer = new MessagePacer(this, pacing === true ? {} : pacing);
   }
 
   /**
@@ -59,7 +94,7 @@ class RestManager {
       // Check global rate limit
       if (this.globalRateLimit && Date.now() < this.globalRateLimit.reset) {
         const delay = this.globalRateLimit.reset - Date.now();
-        console.log(`⏳ Global rate limit active, waiting ${delay}ms`);
+        this.logger.debug("Global rate limit active, waiting", { delay });
         await this.sleep(delay);
         this.globalRateLimit = null;
       }
@@ -78,9 +113,10 @@ class RestManager {
           Date.now() < rateLimit.reset
         ) {
           const delay = rateLimit.reset - Date.now();
-          console.log(
-            `⏳ Route rate limit for ${routeKey}, waiting ${delay}ms`,
-          );
+          this.logger.debug("Route rate limit active, waiting", {
+            route: routeKey,
+            delay,
+          });
           await this.sleep(delay);
         }
 
@@ -108,11 +144,16 @@ class RestManager {
 
     while (attempt < maxRetries) {
       try {
+        // Multipart bodies set their own Content-Type with the boundary
+        const contentType =
+          options.body instanceof FormData
+            ? {}
+            : { "Content-Type": "application/json" };
         const response = await fetch(url, {
           ...options,
           headers: {
             Authorization: this.token,
-            "Content-Type": "application/json",
+            ...contentType,
             ...options.headers,
           },
         });
@@ -127,15 +168,15 @@ class RestManager {
         // Handle rate limiting
         if (response.status === 429) {
           const retryAfter =
-            parseInt(response.headers.get("retry-after")) * 1000;
+            parseFloat(response.headers.get("retry-after")) * 1000;
           const isGlobal =
             response.headers.get("x-ratelimit-global") === "true";
 
-          console.log(
-            `🚫 Rate limited! ${
-              isGlobal ? "Global" : "Route"
-            } limit, retry after ${retryAfter}ms`,
-          );
+          this.logger.warn("Rate limited", {
+            endpoint,
+            global: isGlobal,
+            retryAfter,
+          });
 
           if (isGlobal) {
             this.globalRateLimit = { reset: Date.now() + retryAfter };
@@ -150,7 +191,13 @@ class RestManager {
           const error = await response
             .json()
             .catch(() => ({ message: "Unknown error" }));
-          throw new DiscordAPIError(error.message, response.status, endpoint);
+          throw new DiscordAPIError(
+            error.message,
+            response.status,
+            endpoint,
+            error.code,
+            error.errors,
+          );
         }
 
         // Handle 204 No Content (successful but no body)
@@ -166,11 +213,13 @@ class RestManager {
 
         // Exponential backoff for retries
         const delay = Math.pow(2, attempt) * 1000;
-        console.log(
-          `🔄 Request failed, retrying in ${delay}ms (attempt ${
-            attempt + 1
-          }/${maxRetries})`,
-        );
+        this.logger.warn("Request failed, retrying", {
+          endpoint,
+          error,
+          delay,
+          attempt: attempt + 1,
+          maxRetries,
+        });
         await this.sleep(delay);
         attempt++;
       }
@@ -240,12 +289,17 @@ class RestManager {
   }
 
   /**
-   * Send a message to a channel
+   * Send a message to a channel, paced if pacing is enabled
    * @param {string} channelId - The channel ID
    * @param {string|object} payload - Message content or payload object
    * @returns {Promise<object>} The sent message data
    */
   async sendMessage(channelId, payload) {
+    if (this.pacer) {
+      return await this.pacer.pace(channelId, payload, () =>
+        sendMessage(this, channelId, payload),
+      );
+    }
     return await sendMessage(this, channelId, payload);
   }
 
@@ -253,11 +307,97 @@ class RestManager {
    * React to a message
    * @param {string} channelId - The channel ID
    * @param {string} messageId - The message ID
-   * @param {string} emoji - The emoji to react with
+   * @param {string|object} emoji - The emoji to react with
+   * @param {object} [options={}] - Reaction options
+   * @param {boolean} [options.burst=false] - Whether to add a burst (super) reaction
+   * @returns {Promise<void>}
+   */
+  async react(channelId, messageId, emoji, options = {}) {
+    return await react(this, channelId, messageId, emoji, options);
+  }
+
+  /**
+   * Remove a user's reaction from a message
+   * @param {string} channelId - The channel ID
+   * @param {string} messageId - The message ID
+   * @param {string|object} emoji - The reaction's emoji
+   * @param {string} [userId="@me"] - The user whose reaction to remove, `@me` for our own
+   * @param {object} [options={}] - Reaction options
+   * @param {boolean} [options.burst=false] - Whether to remove a burst (super) reaction
+   * @returns {Promise<void>}
+   */
+  async removeReaction(
+    channelId,
+    messageId,
+    emoji,
+    userId = "@me",
+    options = {},
+  ) {
+    // Burst reactions are removed through the typed route the official client uses
+    const type = options.burst ? "/1" : "";
+    return await this.request(
+      `/channels/${channelId}/messages/${messageId}/reactions/${Emoji.encode(emoji)}${type}/${userId}`,
+      { method: "DELETE" },
+    );
+  }
+
+  /**
+   * Remove every reaction of one emoji from a message
+   * @param {string} channelId - The channel ID
+   * @param {string} messageId - The message ID
+   * @param {string|object} emoji - The emoji to remove
+   * @returns {Promise<void>}
+   */
+  async removeReactionEmoji(channelId, messageId, emoji) {
+    return await this.request(
+      `/channels/${channelId}/messages/${messageId}/reactions/${Emoji.encode(emoji)}`,
+      { method: "DELETE" },
+    );
+  }
+
+  /**
+   * Remove all reactions from a message
+   * @param {string} channelId - The channel ID
+   * @param {string} messageId - The message ID
+   * @returns {Promise<void>}
+   */
+  async removeAllReactions(channelId, messageId) {
+    return await this.request(
+      `/channels/${channelId}/messages/${messageId}/reactions`,
+      { method: "DELETE" },
+    );
+  }
+
+  /**
+   * Fetch one page of the users who reacted with an emoji
+   * @param {string} channelId - The channel ID
+   * @param {string} messageId - The message ID
+   * @param {string|object} emoji - The reaction's emoji
+   * @param {object} [options={}] - Fetch options
+   * @param {number} [options.limit=25] - Number of users to fetch (1-100)
+   * @param {string} [options.after] - Fetch users after this user ID
+   * @param {boolean} [options.burst=false] - Fetch burst (super) reactions instead of normal ones
+   * @returns {Promise<Array>} Array of user data
+   */
+  async fetchReactions(channelId, messageId, emoji, options = {}) {
+    const { limit = 25, after, burst = false } = options;
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (after) query.set("after", after);
+    if (burst) query.set("type", "1");
+    return await this.request(
+      `/channels/${channelId}/messages/${messageId}/reactions/${Emoji.encode(emoji)}?${query}`,
+    );
+  }
+
+  /**
+   * Show the typing indicator in a channel for about 10 seconds
+   * @param {string} channelId - The channel ID
    * @returns {Promise<void>}
    */
-  async react(channelId, messageId, emoji) {
-    return await react(this, channelId, messageId, emoji);
+  async sendTyping(channelId) {
+    return await this.request(`/channels/${channelId}/typing`, {
+      method: "POST",
+    });
   }
 
   /**
@@ -311,6 +451,177 @@ class RestManager {
     return await this.request(`/channels/${channelId}/messages?${query}`);
   }
 
+  /**
+   * Fetch the application command index of a guild: the commands available in it and
+   * the applications they belong to. Indexes are cached until their version changes
+   * @param {string} guildId - The guild ID
+   * @param {object} [options={}] - Fetch options
+   * @param {boolean} [options.force=false] - Skip the cache
+   * @returns {Promise<ApplicationCommandIndex>} The index
+   */
+  async fetchGuildCommandIndex(guildId, options = {}) {
+    return await this.fetchCommandIndex(
+      guildId,
+      `/guilds/${guildId}/application-command-index`,
+      { guildId },
+      options,
+    );
+  }
+
+  /**
+   * Fetch the application command index of a DM or group DM channel
+   * @param {string} channelId - The channel ID
+   * @param {object} [options={}] - Fetch options
+   * @param {boolean} [options.force=false] - Skip the cache
+   * @returns {Promise<ApplicationCommandIndex>} The index
+   */
+  async fetchChannelCommandIndex(channelId, options = {}) {
+    return await this.fetchCommandIndex(
+      `channel:${channelId}`,
+      `/channels/${channelId}/application-command-index`,
+      { channelId },
+      options,
+    );
+  }
+
+  /**
+   * Fetch the application command index of the user's installed apps, whose commands
+   * are available everywhere
+   * @param {object} [options={}] - Fetch options
+   * @param {boolean} [options.force=false] - Skip the cache
+   * @returns {Promise<ApplicationCommandIndex>} The index
+   */
+  async fetchUserCommandIndex(options = {}) {
+    return await this.fetchCommandIndex(
+      "@me",
+      "/users/@me/application-command-index",
+      {},
+      options,
+    );
+  }
+
+  /**
+   * Fetch the application command index for a channel: the guild's index for guild
+   * channels, the channel's own index otherwise
+   * @param {string} channelId - The channel ID
+   * @param {string} [guildId] - The guild ID, for guild channels
+   * @param {object} [options={}] - Fetch options
+   * @param {boolean} [options.force=false] - Skip the cache
+   * @returns {Promise<ApplicationCommandIndex>} The index
+   */
+  async fetchApplicationCommandIndex(channelId, guildId, options = {}) {
+    return guildId
+      ? await this.fetchGuildCommandIndex(guildId, options)
+      : await this.fetchChannelCommandIndex(channelId, options);
+  }
+
+  /**
+   * Find a command usable in a channel, looking in the channel's index and then in the
+   * user's installed apps
+   * @param {string} channelId - The channel ID
+   * @param {string|null} guildId - The guild ID, or null in DMs
+   * @param {string} input - The command name, followed by the subcommand group and/or subcommand
+   * @param {string} [application] - The application (ID or name) the command belongs to
+   * @returns {Promise<object|null>} `{ application, command, path, options, index }`, see
+   * {@link ApplicationCommandIndex#resolve}, or null if no index has the command
+   * @throws {Error} If a subcommand is unknown
+   */
+  async resolveApplicationCommand(channelId, guildId, input, application) {
+    const indexes = [
+      () => this.fetchApplicationCommandIndex(channelId, guildId),
+      () => this.fetchUserCommandIndex(),
+    ];
+    for (const fetchIndex of indexes) {
+      const index = await fetchIndex();
+      const resolved = index.resolve(input, application);
+      if (resolved) return { ...resolved, index };
+    }
+    return null;
+  }
+
+  /**
+   * Forget cached application command indexes
+   * @param {string} [scope] - A guild ID, `"channel:<id>"` or `"@me"`. Every index is forgotten if omitted
+   * @param {string} [version] - The current version; an index already at this version is kept
+   * @returns {Promise<boolean>} Whether an index was forgotten
+   */
+  async invalidateCommandIndex(scope, version) {
+    if (scope === undefined) {
+      const had = this.commandIndexes.size > 0;
+      this.commandIndexes.clear();
+      return had;
+    }
+
+    const cached = this.commandIndexes.get(scope);
+    if (!cached) return false;
+    if (version) {
+      const index = await cached.catch(() => null);
+      if (index && index.version === version) return false;
+      // A newer fetch may have replaced it meanwhile
+      if (this.commandIndexes.get(scope) !== cached) return false;
+    }
+    this.commandIndexes.delete(scope);
+    this.logger.debug("Application command index invalidated", {
+      scope,
+      version,
+    });
+    return true;
+  }
+
+  /**
+   * Fetch an application command index through the cache. Concurrent fetches of a
+   * scope share one request, and failed fetches aren't cached
+   * @private
+   */
+  fetchCommandIndex(key, endpoint, scope, { force = false } = {}) {
+    if (!force && this.commandIndexes.has(key)) {
+      return this.commandIndexes.get(key);
+    }
+
+    const fetched = this.request(endpoint).then(
+      (data) => new ApplicationCommandIndex(data || {}, scope),
+    );
+    this.commandIndexes.set(key, fetched);
+    fetched.catch(() => {
+      if (this.commandIndexes.get(key) === fetched) {
+        this.commandIndexes.delete(key);
+      }
+    });
+    return fetched;
+  }
+
+  /**
+   * Invoke a slash command
+   * @param {string} channelId - The channel ID
+   * @param {string|null} guildId - The guild ID, or null in DMs
+   * @param {object} command - The application command from the command index
+   * @param {Array<string>} path - Subcommand group and/or subcommand names
+   * @param {object} values - Option values by name
+   * @param {string} sessionId - The session ID
+   * @param {string} [nonce] - The interaction nonce, generated if not given
+   * @returns {Promise<object>} Interaction response
+   */
+  async sendSlashCommand(
+    channelId,
+    guildId,
+    command,
+    path,
+    values,
+    sessionId,
+    nonce,
+  ) {
+    return await sendSlashCommand(
+      this,
+      channelId,
+      guildId,
+      command,
+      path,
+      values,
+      sessionId,
+      nonce,
+    );
+  }
+
   /**
    * Click a button on a message
    * @param {string} channelId - The channel ID
@@ -320,6 +631,7 @@ class RestManager {
    * @param {string} customId - The button's custom ID
    * @param {string} sessionId - The session ID
    * @param {number} [messageFlags=0] - Message flags
+   * @param {string} [nonce] - The interaction nonce, generated if not given
    * @returns {Promise<object>} Interaction response
    */
   async clickButton(
@@ -330,6 +642,7 @@ class RestManager {
     customId,
     sessionId,
     messageFlags = 0,
+    nonce,
   ) {
     return await clickButton(
       this,
@@ -340,6 +653,80 @@ class RestManager {
       customId,
       sessionId,
       messageFlags,
+      nonce,
+    );
+  }
+
+  /**
+   * Choose values in a select menu on a message
+   * @param {string} channelId - The channel ID
+   * @param {string} messageId - The message ID
+   * @param {string} applicationId - The application ID
+   * @param {string} guildId - The guild ID
+   * @param {object} select - The raw select menu component
+   * @param {Array<string>} values - The chosen values
+   * @param {string} sessionId - The session ID
+   * @param {number} [messageFlags=0] - Message flags
+   * @param {string} [nonce] - The interaction nonce, generated if not given
+   * @returns {Promise<object>} Interaction response
+   */
+  async selectMenu(
+    channelId,
+    messageId,
+    applicationId,
+    guildId,
+    select,
+    values,
+    sessionId,
+    messageFlags = 0,
+    nonce,
+  ) {
+    return await selectMenu(
+      this,
+      channelId,
+      messageId,
+      applicationId,
+      guildId,
+      select,
+      values,
+      sessionId,
+      messageFlags,
+      nonce,
+    );
+  }
+
+  /**
+   * Submit a modal
+   * @param {string} channelId - The channel ID
+   * @param {string|null} guildId - The guild ID, or null in DMs
+   * @param {string} applicationId - The application ID
+   * @param {string} modalId - The ID from INTERACTION_MODAL_CREATE
+   * @param {string} customId - The modal's custom ID
+   * @param {Array<object>} components - The submitted components
+   * @param {string} sessionId - The session ID
+   * @param {string} [nonce] - The interaction nonce, generated if not given
+   * @returns {Promise<object>} Interaction response
+   */
+  async submitModal(
+    channelId,
+    guildId,
+    applicationId,
+    modalId,
+    customId,
+    components,
+    sessionId,
+    nonce,
+  ) {
+    return await submitModal(
+      this,
+      channelId,
+      guildId,
+      applicationId,
+      modalId,
+      customId,
+      components,
+      sessionId,
+      nonce,
     );
   }
 }
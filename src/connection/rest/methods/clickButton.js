@@ -1,3 +1,5 @@
+const Snowflake = require("../../../util/Snowflake");
+
 async function clickButton(
   rest,
   channelId,
@@ -7,10 +9,8 @@ async function clickButton(
   customId,
   sessionId,
   messageFlags = 0,
+  nonce = Snowflake.generate(),
 ) {
-  // Generate a snowflake-like nonce (simplified version)
-  const nonce = Date.now().toString() + Math.random().toString(36).substring(2, 11);
-
   const payload = {
     type: 3, // MESSAGE_COMPONENT
     nonce,
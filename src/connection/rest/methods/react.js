@@ -1,16 +1,20 @@
+const Emoji = require("../../../util/Emoji");
+
 /**
  * React to a message with an emoji
  * @param {RestManager} rest - The REST manager instance
  * @param {string} channelId - The channel ID
  * @param {string} messageId - The message ID
- * @param {string} emoji - The emoji to react with (unicode or custom emoji)
+ * @param {string|object} emoji - The emoji to react with (unicode, `name:id`, `<:name:id>` or an emoji object)
+ * @param {object} [options={}] - Reaction options
+ * @param {boolean} [options.burst=false] - Whether to add a burst (super) reaction
  * @returns {Promise<void>}
  */
-async function react(rest, channelId, messageId, emoji) {
-  // Encode emoji for URL (e.g., 😀 -> %F0%9F%98%80, or custom:123 -> custom%3A123)
-  const encodedEmoji = encodeURIComponent(emoji);
+async function react(rest, channelId, messageId, emoji, options = {}) {
+  // Burst reactions are added with the reaction type, like the official client does
+  const query = options.burst ? "?location=Message&type=1" : "";
   return await rest.request(
-    `/channels/${channelId}/messages/${messageId}/reactions/${encodedEmoji}/@me`,
+    `/channels/${channelId}/messages/${messageId}/reactions/${Emoji.encode(emoji)}/@me${query}`,
     {
       method: "PUT",
     },
@@ -0,0 +1,52 @@
+const Snowflake = require("../../../util/Snowflake");
+
+/**
+ * Choose values in a select menu on a message
+ * @param {RestManager} rest - The REST manager instance
+ * @param {string} channelId - The channel ID
+ * @param {string} messageId - The message ID
+ * @param {string} applicationId - The application ID
+ * @param {string} guildId - The guild ID
+ * @param {object} select - The raw select menu component
+ * @param {Array<string>} values - The chosen values
+ * @param {string} sessionId - The session ID
+ * @param {number} [messageFlags=0] - Message flags
+ * @param {string} [nonce] - The interaction nonce, generated if not given
+ * @returns {Promise<object>} Interaction response
+ */
+async function selectMenu(
+  rest,
+  channelId,
+  messageId,
+  applicationId,
+  guildId,
+  select,
+  values,
+  sessionId,
+  messageFlags = 0,
+  nonce = Snowflake.generate(),
+) {
+  const payload = {
+    type: 3, // MESSAGE_COMPONENT
+    nonce,
+    guild_id: guildId,
+    channel_id: channelId,
+    message_id: messageId,
+    application_id: applicationId,
+    session_id: sessionId,
+    message_flags: messageFlags,
+    data: {
+      component_type: select.type,
+      custom_id: select.custom_id,
+      type: select.type,
+      values,
+    },
+  };
+
+  return await rest.request("/interactions", {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+module.exports = selectMenu;
@@ -0,0 +1,243 @@
+const Snowflake = require("../../../util/Snowflake");
+
+// Application command option types
+const SUB_COMMAND = 1;
+const SUB_COMMAND_GROUP = 2;
+const STRING = 3;
+const INTEGER = 4;
+const BOOLEAN = 5;
+const NUMBER = 10;
+const ATTACHMENT = 11;
+
+/**
+ * Read a number or numeric string, or NaN for anything else
+ * @private
+ */
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+}
+
+/**
+ * Check a value or length against the option's bounds
+ * @private
+ */
+function checkRange(option, actual, min, max, what) {
+  if (min !== undefined && min !== null && actual < min) {
+    throw new Error(
+      `Option "${option.name}" must have a ${what} of at least ${min}`,
+    );
+  }
+  if (max !== undefined && max !== null && actual > max) {
+    throw new Error(
+      `Option "${option.name}" must have a ${what} of at most ${max}`,
+    );
+  }
+}
+
+/**
+ * Convert a user supplied option value to what Discord expects for its type
+ * @private
+ */
+function resolveValue(option, value, files) {
+  // Choices can be given by name or value
+  if (option.choices && option.choices.length > 0) {
+    const choice = option.choices.find(
+      (entry) => entry.value === value || entry.name === value,
+    );
+    if (!choice) {
+      throw new Error(
+        `Invalid value for option "${option.name}". Expected one of ${option.choices
+          .map((entry) => JSON.stringify(entry.value))
+          .join(", ")}.`,
+      );
+    }
+    return choice.value;
+  }
+
+  switch (option.type) {
+    case STRING:
+      if (typeof value !== "string") {
+        throw new Error(`Option "${option.name}" must be a string`);
+      }
+      checkRange(
+        option,
+        value.length,
+        option.min_length,
+        option.max_length,
+        "length",
+      );
+      return value;
+    case INTEGER:
+    case NUMBER: {
+      const number = toNumber(value);
+      if (option.type === INTEGER && !Number.isInteger(number)) {
+        throw new Error(`Option "${option.name}" must be an integer`);
+      }
+      if (!Number.isFinite(number)) {
+        throw new Error(`Option "${option.name}" must be a number`);
+      }
+      checkRange(option, number, option.min_value, option.max_value, "value");
+      return number;
+    }
+    case BOOLEAN:
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      throw new Error(`Option "${option.name}" must be a boolean`);
+    case ATTACHMENT:
+      if (!value || !value.name || value.data === undefined) {
+        throw new Error(
+          `Option "${option.name}" must be an attachment like { name, data }`,
+        );
+      }
+      files.push(value);
+      // Attachment options reference the attachment by its index
+      return files.length - 1;
+    default:
+      // Users, channels, roles and mentionables are sent as IDs
+      return typeof value === "object" && value !== null ? value.id : value;
+  }
+}
+
+/**
+ * Build the interaction options for a command, walking subcommand groups and subcommands
+ * @param {object} command - The application command from the command index
+ * @param {Array<string>} path - Subcommand group and/or subcommand names
+ * @param {object} values - Option values by name
+ * @param {Array<object>} files - Receives the attachments to upload
+ * @returns {Array<object>} The interaction data options
+ * @throws {Error} If a subcommand or option is unknown, missing or invalid
+ */
+function buildOptions(command, path, values, files) {
+  const options = [];
+  let container = options;
+  let schema = command;
+
+  for (const name of path) {
+    const sub = (schema.options || []).find(
+      (option) =>
+        option.name === name &&
+        (option.type === SUB_COMMAND || option.type === SUB_COMMAND_GROUP),
+    );
+    if (!sub) {
+      throw new Error(`Unknown subcommand "${name}" of /${command.name}`);
+    }
+    const entry = { type: sub.type, name: sub.name, options: [] };
+    container.push(entry);
+    container = entry.options;
+    schema = sub;
+  }
+
+  const schemaOptions = schema.options || [];
+  if (
+    schemaOptions.some(
+      (option) =>
+        option.type === SUB_COMMAND || option.type === SUB_COMMAND_GROUP,
+    )
+  ) {
+    throw new Error(
+      `/${[command.name, ...path].join(" ")} needs a subcommand: ${schemaOptions
+        .map((option) => option.name)
+        .join(", ")}`,
+    );
+  }
+
+  for (const name of Object.keys(values)) {
+    if (!schemaOptions.some((option) => option.name === name)) {
+      throw new Error(
+        `Unknown option "${name}" for /${[command.name, ...path].join(" ")}`,
+      );
+    }
+  }
+
+  for (const option of schemaOptions) {
+    const value = values[option.name];
+    if (value === undefined || value === null) {
+      if (option.required) {
+        throw new Error(`Missing required option "${option.name}"`);
+      }
+      continue;
+    }
+    container.push({
+      type: option.type,
+      name: option.name,
+      value: resolveValue(option, value, files),
+    });
+  }
+
+  return options;
+}
+
+/**
+ * Invoke a slash command (interaction type 2)
+ * @param {RestManager} rest - The REST manager instance
+ * @param {string} channelId - The channel ID
+ * @param {string|null} guildId - The guild ID, or null in DMs
+ * @param {object} command - The application command from the command index
+ * @param {Array<string>} path - Subcommand group and/or subcommand names
+ * @param {object} values - Option values by name. Attachments are `{ name, data, contentType }`
+ * @param {string} sessionId - The gateway session ID
+ * @param {string} [nonce] - The interaction nonce, generated if not given
+ * @returns {Promise<object>} Interaction response
+ */
+async function sendSlashCommand(
+  rest,
+  channelId,
+  guildId,
+  command,
+  path,
+  values,
+  sessionId,
+  nonce = Snowflake.generate(),
+) {
+  const files = [];
+  const options = buildOptions(command, path, values, files);
+
+  const payload = {
+    type: 2, // APPLICATION_COMMAND
+    nonce,
+    guild_id: guildId || undefined,
+    channel_id: channelId,
+    application_id: command.application_id,
+    session_id: sessionId,
+    data: {
+      version: command.version,
+      id: command.id,
+      name: command.name,
+      type: command.type || 1,
+      options,
+      application_command: command,
+      attachments: files.map((file, index) => ({
+        id: String(index),
+        filename: file.name,
+      })),
+    },
+  };
+
+  if (files.length === 0) {
+    return await rest.request("/interactions", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    });
+  }
+
+  const form = new FormData();
+  form.append("payload_json", JSON.stringify(payload));
+  files.forEach((file, index) => {
+    const blob =
+      file.data instanceof Blob
+        ? file.data
+        : new Blob([file.data], {
+            type: file.contentType || "application/octet-stream",
+          });
+    form.append(`files[${index}]`, blob, file.name);
+  });
+
+  return await rest.request("/interactions", {
+    method: "POST",
+    body: form,
+  });
+}
+
+module.exports = sendSlashCommand;
@@ -0,0 +1,47 @@
+const Snowflake = require("../../../util/Snowflake");
+
+/**
+ * Submit a modal (interaction type 5)
+ * @param {RestManager} rest - The REST manager instance
+ * @param {string} channelId - The channel ID
+ * @param {string|null} guildId - The guild ID, or null in DMs
+ * @param {string} applicationId - The application ID
+ * @param {string} modalId - The ID from INTERACTION_MODAL_CREATE
+ * @param {string} customId - The modal's custom ID
+ * @param {Array<object>} components - The submitted components
+ * @param {string} sessionId - The session ID
+ * @param {string} [nonce] - The interaction nonce, generated if not given
+ * @returns {Promise<object>} Interaction response
+ */
+async function submitModal(
+  rest,
+  channelId,
+  guildId,
+  applicationId,
+  modalId,
+  customId,
+  components,
+  sessionId,
+  nonce = Snowflake.generate(),
+) {
+  const payload = {
+    type: 5, // MODAL_SUBMIT
+    nonce,
+    guild_id: guildId || undefined,
+    channel_id: channelId,
+    application_id: applicationId,
+    session_id: sessionId,
+    data: {
+      id: modalId,
+      custom_id: customId,
+      components,
+    },
+  };
+
+  return await rest.request("/interactions", {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+module.exports = submitModal;
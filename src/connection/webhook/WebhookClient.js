@@ -1,14 +1,24 @@
 const DiscordAPIError = require("../../classes/DiscordAPIError");
+const { DefaultHttpOptions } = require("../../util/Constants");
 
 class WebhookClient {
   /**
    * Create a new WebhookClient
-   * @param {string} url - The webhook URL
+   * @param {string|{id: string, token: string}} url - The webhook URL, or its ID and token
    * @param {object} [options={}] - Default options for the webhook
    * @param {string} [options.username] - Default username for the webhook
    * @param {string} [options.avatarURL] - Default avatar URL for the webhook
+   * @param {object} [options.http] - HTTP endpoint options
+   * @param {string} [options.http.api="https://discord.com/api"] - Base URL of the API, used when building the URL from an ID and token
    */
   constructor(url, options = {}) {
+    if (url && typeof url === "object") {
+      const api = (
+        (options.http && options.http.api) ||
+        DefaultHttpOptions.api
+      ).replace(/\/+$/, "");
+      url = `${api}/webhooks/${url.id}/${url.token}`;
+    }
     this.url = url;
     this.options = {
       username: options.username || null,
@@ -234,12 +244,15 @@ class WebhookClient {
 
   /**
    * Parse a webhook URL to get its ID and token.
+   * Any host is accepted, so URLs of self-hosted API stand-ins parse too.
    * @param {string} url - The webhook URL.
    * @returns {{id: string, token: string}} The webhook ID and token.
    * @throws {Error} If the URL is invalid.
    */
   static parseURL(url) {
-    const match = url.match(/discord(?:app)?\.com\/api\/webhooks\/(\d+)\/(.+)/);
+    const match = url.match(
+      /^https?:\/\/[^/]+(?:\/[^?#]*?)?\/api(?:\/v\d+)?\/webhooks\/(\d+)\/([^/?#]+)/,
+    );
     if (!match) {
       throw new Error("Invalid webhook URL");
     }
@@ -0,0 +1,75 @@
+const fs = require("fs");
+
+/**
+ * Writes every inbound and outbound gateway payload to a JSONL file.
+ *
+ * Each line is `{ "time": <ms>, "direction": "in" | "out", "payload": { ... } }`.
+ * Recordings can be fed back into a {@link Client} with {@link GatewayReplayer}.
+ *
+ * @example
+ * const client = new Client({
+ *   ws: { recorder: { path: "./gateway.jsonl" } },
+ * });
+ */
+class GatewayRecorder {
+  /**
+   * Create a new GatewayRecorder
+   * @param {string} path - File to write the recording to
+   * @param {object} [options={}] - Recorder options
+   * @param {boolean} [options.redactToken=true] - Replace the token in Identify and Resume payloads
+   * @param {boolean} [options.append=true] - Append to an existing file instead of truncating it
+   */
+  constructor(path, options = {}) {
+    this.path = path;
+    this.redactToken = options.redactToken !== false;
+    this.stream = fs.createWriteStream(path, {
+      flags: options.append === false ? "w" : "a",
+    });
+    this.closed = false;
+  }
+
+  /**
+   * Record a payload
+   * @param {"in"|"out"} direction - Whether the payload was received or sent
+   * @param {object} payload - The decoded gateway payload
+   * @returns {void}
+   */
+  record(direction, payload) {
+    if (this.closed) return;
+
+    const entry = {
+      time: Date.now(),
+      direction,
+      payload: this.redact(payload),
+    };
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Strip the token from Identify (op 2) and Resume (op 6) payloads
+   * @private
+   */
+  redact(payload) {
+    if (
+      !this.redactToken ||
+      (payload.op !== 2 && payload.op !== 6) ||
+      !payload.d ||
+      !payload.d.token
+    ) {
+      return payload;
+    }
+    return { ...payload, d: { ...payload.d, token: "[REDACTED]" } };
+  }
+
+  /**
+   * Flush and close the file
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (this.closed) return Promise.resolve();
+    this.closed = true;
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+module.exports = GatewayRecorder;
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const readline = require("readline");
+const DiscordWebSocket = require("./WebSocket");
+
+/**
+ * Feeds a recording made by {@link GatewayRecorder} into a {@link Client}
+ * without opening a connection, so `ready`, `messageCreate`, `guildCreate` and
+ * the other events fire exactly as they did when the recording was made.
+ *
+ * Only inbound dispatches (op 0) are replayed; Hello, heartbeats and
+ * reconnect requests would otherwise make the client touch the network.
+ *
+ * @example
+ * const client = new Client();
+ * client.on("messageCreate", handler);
+ * await new GatewayReplayer(client, "./gateway.jsonl").replay();
+ */
+class GatewayReplayer {
+  /**
+   * Create a new GatewayReplayer
+   * @param {Client} client - The client to feed events into
+   * @param {string} path - The JSONL recording
+   */
+  constructor(client, path) {
+    this.client = client;
+    this.path = path;
+  }
+
+  /**
+   * Replay the recording
+   * @param {object} [options={}] - Replay options
+   * @param {number} [options.speed=0] - Playback speed relative to the recording (1 is real time), 0 replays without delays
+   * @param {Function} [options.filter] - Only replay payloads for which this returns true
+   * @returns {Promise<number>} The number of payloads replayed
+   */
+  async replay(options = {}) {
+    const speed = options.speed || 0;
+    const filter = options.filter || (() => true);
+
+    if (!this.client.ws) {
+      this.client.ws = new DiscordWebSocket(
+        this.client,
+        this.client.token,
+        this.client.options,
+      );
+    }
+    const ws = this.client.ws;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.path),
+      crlfDelay: Infinity,
+    });
+
+    let count = 0;
+    let previousTime = null;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      const entry = JSON.parse(line);
+      const { payload } = entry;
+      if (entry.direction !== "in" || payload.op !== 0 || !filter(payload)) {
+        continue;
+      }
+
+      if (speed > 0 && previousTime !== null) {
+        const delay = (entry.time - previousTime) / speed;
+        if (delay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+      previousTime = entry.time;
+
+      ws.handlePayload(payload);
+      count++;
+    }
+
+    return count;
+  }
+}
+
+module.exports = GatewayReplayer;
@@ -1,9 +1,21 @@
 const WebSocket = require("ws");
+const zlib = require("zlib");
 const { EventEmitter } = require("events");
 const Message = require("../../classes/Message");
 const Guild = require("../../classes/Guild");
 const Channel = require("../../classes/Channel");
+const ClientUser = require("../../classes/ClientUser");
+const GuildMember = require("../../classes/GuildMember");
+const Presence = require("../../classes/Presence");
+const VoiceState = require("../../classes/VoiceState");
+const Modal = require("../../classes/Modal");
 const WebSocketError = require("../../classes/WebSocketError");
+const Logger = require("../../util/Logger");
+const GatewayRecorder = require("./GatewayRecorder");
+const {
+  GatewayCloseCodes,
+  DefaultWebSocketOptions,
+} = require("../../util/Constants");
 
 class DiscordWebSocket extends EventEmitter {
   constructor(client, token, options = {}) {
@@ -11,87 +23,307 @@ class DiscordWebSocket extends EventEmitter {
     this.client = client;
     this.token = token;
     this.options = options;
+    this.logger = client.logger
+      ? client.logger.child("gateway")
+      : new Logger({ subsystem: "gateway" });
+    this.wsOptions = { ...DefaultWebSocketOptions, ...options.ws };
     this.ws = null;
     this.heartbeatInterval = null;
+    this.heartbeatTimeout = null;
+    this.lastHeartbeatSent = null;
+    this.lastHeartbeatAck = null;
+    this.lastHeartbeatAcked = true;
+    this.ping = -1;
+    this.pings = [];
+    this.maxPingHistory = 10;
     this.sequence = null;
     this.sessionId = null;
+    this.resumeGatewayUrl = null;
     this.ready = false;
+    this.closing = false;
+    // Whether the presence changed while the session wasn't ready to receive it
+    this.presenceDirty = false;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
+    this.maxReconnectAttempts = this.wsOptions.maxReconnectAttempts;
+    this.reconnectTimeout = null;
     this.gatewayVersion = this.options.apiVersion || 9;
-    this.gatewayUrl = `wss://gateway.discord.gg/?v=${this.gatewayVersion}&encoding=json`;
+    this.gatewayUrl = this.buildGatewayUrl(this.wsOptions.gateway);
+    this.inflate = null;
+    this.inflateInput = [];
+    this.inflateOutput = [];
+    this.recorder = this.createRecorder(this.wsOptions.recorder);
   }
 
-  connect() {
-    if (this.ws) {
-      this.ws.close();
+  createRecorder(recorder) {
+    if (!recorder) return null;
+    if (recorder instanceof GatewayRecorder) return recorder;
+
+    // Recorders created from options belong to this connection and are closed with it
+    this.ownsRecorder = true;
+    if (typeof recorder === "string") {
+      return new GatewayRecorder(recorder);
+    }
+    return new GatewayRecorder(recorder.path, recorder);
+  }
+
+  buildGatewayUrl(base) {
+    let url = `${base.replace(/\/+$/, "")}/?v=${this.gatewayVersion}&encoding=json`;
+    if (this.wsOptions.compress) {
+      url += "&compress=zlib-stream";
+    }
+    return url;
+  }
+
+  connect(resume = false) {
+    this.cleanupConnection();
+
+    // Resuming has to happen on the gateway that handed out the session
+    const url =
+      resume && this.resumeGatewayUrl
+        ? this.buildGatewayUrl(this.resumeGatewayUrl)
+        : this.gatewayUrl;
+    this.resuming = resume && this.canResume();
+    this.closing = false;
+
+    if (this.wsOptions.compress) {
+      this.setupInflate();
     }
 
-    this.ws = new WebSocket(this.gatewayUrl);
+    const ws = new WebSocket(url);
+    this.ws = ws;
 
-    this.ws.on("open", () => {
-      console.log("WebSocket connected");
+    ws.on("open", () => {
+      this.logger.debug("Connected to gateway", { url });
       this.client.emit("connected");
     });
 
-    this.ws.on("message", (data) => {
+    ws.on("message", (data) => {
       this.handleMessage(data);
     });
 
-    this.ws.on("close", (code, reason) => {
-      console.log(`WebSocket closed: ${code} - ${reason}`);
+    ws.on("close", (code, reason) => {
+      // Ignore sockets that have already been replaced
+      if (this.ws !== ws) return;
+
+      this.logger.info("Gateway connection closed", {
+        code,
+        reason: reason.toString(),
+      });
       this.ready = false;
-      if (this.heartbeatInterval) {
-        clearInterval(this.heartbeatInterval);
-        this.heartbeatInterval = null;
-      }
+      this.stopHeartbeat();
+      this.destroyInflate();
+      this.ws = null;
       this.client.emit("disconnected", code, reason);
-      if (code !== 1000) {
-        // Not a clean close
-        this.reconnect();
-      }
+      this.handleClose(code);
     });
 
-    this.ws.on("error", (error) => {
+    ws.on("error", (error) => {
+      if (this.ws !== ws || this.closing) return;
+
       const wsError = new WebSocketError(`WebSocket error: ${error.message}`);
-      console.error(wsError);
+      this.logger.error("WebSocket error", { error: wsError });
       this.client.emit("error", wsError);
     });
   }
 
+  handleClose(code) {
+    if (code === 1000 || this.closing) return; // Clean close, nothing to do
+
+    const closeCode = GatewayCloseCodes[code];
+    if (closeCode && !closeCode.reconnect) {
+      // Retrying can never work for these, give up on the session
+      this.resetSession();
+      const err = new WebSocketError(
+        `Gateway closed: ${closeCode.description} (${code})`,
+        code,
+      );
+      this.logger.error("Gateway closed with a fatal code", {
+        code,
+        name: closeCode.name,
+      });
+      this.client.emit("error", err);
+      if (code === 4004) {
+        this.client.emit("invalidated");
+      }
+      return;
+    }
+
+    if (closeCode && !closeCode.resume) {
+      this.resetSession();
+    }
+
+    // Not a clean close, try to pick the session back up
+    this.reconnect(true);
+  }
+
   disconnect() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
     if (this.ws) {
+      // Stays set until the next connect() so a dirty close doesn't trigger a reconnect
+      this.closing = true;
+      this.ready = false;
       this.ws.close(1000, "Client disconnect");
     }
+    if (this.recorder && this.ownsRecorder) {
+      this.recorder.close();
+    }
   }
 
   send(payload) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify(payload));
+      if (this.recorder) {
+        this.recorder.record("out", payload);
+      }
+    }
+  }
+
+  /**
+   * Send a presence update (op 3), or hold it until the session is ready again
+   * @param {object} presence - The resolved presence
+   */
+  sendPresence(presence) {
+    if (!this.ready) {
+      this.presenceDirty = true;
+      return;
+    }
+    this.send({ op: 3, d: presence });
+  }
+
+  /**
+   * Send the presence if it changed while the session wasn't ready
+   * @private
+   */
+  flushPresence() {
+    if (!this.presenceDirty) return;
+    this.presenceDirty = false;
+    this.send({
+      op: 3,
+      d: Presence.resolve(this.client.options.presence),
+    });
+  }
+
+  setupInflate() {
+    // zlib-stream shares one inflate context for the whole connection
+    const inflate = zlib.createInflate({
+      flush: zlib.constants.Z_SYNC_FLUSH,
+      chunkSize: 65535,
+    });
+    this.inflate = inflate;
+    this.inflateInput = [];
+    this.inflateOutput = [];
+
+    inflate.on("data", (chunk) => {
+      if (this.inflate === inflate) {
+        this.inflateOutput.push(chunk);
+      }
+    });
+
+    inflate.on("error", (error) => {
+      if (this.inflate !== inflate) return;
+
+      const wsError = new WebSocketError(
+        `Failed to decompress gateway payload: ${error.message}`,
+      );
+      this.logger.error("Failed to decompress gateway payload", {
+        error: wsError,
+      });
+      this.client.emit("error", wsError);
+      // The inflate context is unusable now, start over on a new connection
+      this.closeForReconnect(4000, "Decompression failed");
+    });
+  }
+
+  destroyInflate() {
+    if (this.inflate) {
+      const inflate = this.inflate;
+      this.inflate = null;
+      inflate.removeAllListeners();
+      inflate.on("error", () => {});
+      inflate.close();
     }
+    this.inflateInput = [];
+    this.inflateOutput = [];
   }
 
   handleMessage(data) {
-    const message = JSON.parse(data.toString());
-    this.sequence = message.s;
+    if (!this.inflate) {
+      this.handlePayload(JSON.parse(data.toString()));
+      return;
+    }
+
+    const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    this.inflateInput.push(chunk);
+
+    // A payload is complete once a frame ends with the Z_SYNC_FLUSH suffix
+    const length = chunk.length;
+    if (
+      length < 4 ||
+      chunk[length - 4] !== 0x00 ||
+      chunk[length - 3] !== 0x00 ||
+      chunk[length - 2] !== 0xff ||
+      chunk[length - 1] !== 0xff
+    ) {
+      return;
+    }
+
+    const inflate = this.inflate;
+    const compressed = Buffer.concat(this.inflateInput);
+    this.inflateInput = [];
+
+    inflate.write(compressed, () => {
+      if (this.inflate !== inflate || this.inflateOutput.length === 0) return;
+
+      const decompressed = Buffer.concat(this.inflateOutput);
+      this.inflateOutput = [];
+      this.handlePayload(JSON.parse(decompressed.toString()));
+    });
+  }
+
+  handlePayload(message) {
+    if (this.recorder) {
+      this.recorder.record("in", message);
+    }
+    if (message.s !== null && message.s !== undefined) {
+      this.sequence = message.s;
+    }
 
     switch (message.op) {
       case 10: // Hello
         this.startHeartbeat(message.d.heartbeat_interval);
-        this.sendIdentify();
+        if (this.resuming) {
+          this.sendResume();
+        } else {
+          this.sendIdentify();
+        }
+        break;
+      case 1: // Heartbeat request
+        this.sendHeartbeat();
         break;
       case 11: // Heartbeat ACK
-        // Heartbeat acknowledged
+        this.handleHeartbeatAck();
+        break;
+      case 7: // Reconnect
+        // Discord wants us on a new connection, the session stays valid
+        this.closeForReconnect(4000, "Reconnect requested");
+        break;
+      case 9: // Invalid Session
+        this.handleInvalidSession(message.d);
         break;
       case 0: // Dispatch
         this.handleDispatch(message);
         break;
       default:
-        console.log("Unhandled op:", message.op);
+        this.logger.debug("Unhandled op", { op: message.op });
     }
   }
 
   sendIdentify() {
+    // The identify payload carries the current presence
+    this.presenceDirty = false;
     const payload = {
       op: 2,
       d: {
@@ -103,7 +335,7 @@ class DiscordWebSocket extends EventEmitter {
           system_locale: "en-US",
         },
         compress: false,
-        presence: this.client.options.presence,
+        presence: Presence.resolve(this.client.options.presence),
         capabilities: 0,
         client_state: {
           guild_versions: {},
@@ -113,61 +345,622 @@ class DiscordWebSocket extends EventEmitter {
     this.send(payload);
   }
 
+  sendResume() {
+    this.send({
+      op: 6,
+      d: {
+        token: this.token,
+        session_id: this.sessionId,
+        seq: this.sequence,
+      },
+    });
+  }
+
+  canResume() {
+    return Boolean(this.sessionId) && this.sequence !== null;
+  }
+
+  resetSession() {
+    this.sessionId = null;
+    this.client.sessionId = null;
+    // Voice connections belong to the session
+    this.client.voiceState = null;
+    this.client.voiceServer = null;
+    this.sequence = null;
+    this.resumeGatewayUrl = null;
+  }
+
+  handleInvalidSession(resumable) {
+    // Detach from the current socket so its close doesn't schedule a second reconnect
+    this.cleanupConnection();
+    this.ready = false;
+
+    if (!resumable) {
+      this.resetSession();
+    }
+
+    // Discord asks for a random 1-5 second wait before identifying again
+    const delay = 1000 + Math.floor(Math.random() * 4000);
+    this.logger.warn("Invalid session", { resumable, delay });
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.connect(resumable);
+    }, delay);
+  }
+
+  closeForReconnect(code, reason) {
+    // Any close code other than 1000/1001 keeps the session resumable
+    if (this.ws) {
+      this.ws.close(code, reason);
+    } else {
+      this.reconnect(true);
+    }
+  }
+
   startHeartbeat(interval) {
-    this.heartbeatInterval = setInterval(() => {
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.send({
-          op: 1,
-          d: this.sequence,
-        });
+    this.stopHeartbeat();
+    this.lastHeartbeatAcked = true;
+
+    // The first heartbeat goes out after interval * jitter, as the gateway docs ask
+    this.heartbeatTimeout = setTimeout(
+      () => {
+        this.heartbeatTimeout = null;
+        this.heartbeat();
+        this.heartbeatInterval = setInterval(() => this.heartbeat(), interval);
+      },
+      Math.floor(interval * Math.random()),
+    );
+  }
+
+  heartbeat() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    if (!this.lastHeartbeatAcked) {
+      // No ACK since the last beat: the connection is a zombie, drop it and resume
+      this.logger.warn("Heartbeat ACK missed, reconnecting", {
+        lastHeartbeatSent: this.lastHeartbeatSent,
+      });
+      // A zombie won't complete a close handshake, so terminate outright
+      this.stopHeartbeat();
+      this.ws.terminate();
+      return;
+    }
+
+    this.sendHeartbeat();
+  }
+
+  sendHeartbeat() {
+    this.lastHeartbeatAcked = false;
+    this.lastHeartbeatSent = Date.now();
+    this.send({
+      op: 1,
+      d: this.sequence,
+    });
+  }
+
+  handleHeartbeatAck() {
+    this.lastHeartbeatAcked = true;
+    this.lastHeartbeatAck = Date.now();
+
+    if (this.lastHeartbeatSent !== null) {
+      this.ping = this.lastHeartbeatAck - this.lastHeartbeatSent;
+      this.pings.unshift(this.ping);
+      if (this.pings.length > this.maxPingHistory) {
+        this.pings.length = this.maxPingHistory;
       }
-    }, interval);
+      this.client.emit("heartbeat", this.ping);
+    }
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimeout) {
+      clearTimeout(this.heartbeatTimeout);
+      this.heartbeatTimeout = null;
+    }
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  cleanupConnection() {
+    this.stopHeartbeat();
+    this.destroyInflate();
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.removeAllListeners();
+      // Swallow errors from a socket that is being torn down mid-handshake
+      ws.on("error", () => {});
+      ws.close(4000, "Reconnecting");
+    }
   }
 
   handleDispatch(message) {
     switch (message.t) {
       case "READY":
         this.sessionId = message.d.session_id;
+        this.resumeGatewayUrl = message.d.resume_gateway_url || null;
         this.client.sessionId = message.d.session_id;
+        // Index updates may have been missed while disconnected
+        if (this.client.rest) {
+          this.client.rest.invalidateCommandIndex();
+        }
+        this.hydrateReady(message.d);
         this.ready = true;
+        this.resuming = false;
+        this.resetReconnectAttempts();
+        this.flushPresence();
         this.client.emit("ready", message.d);
         break;
+      case "RESUMED":
+        this.ready = true;
+        this.resuming = false;
+        this.resetReconnectAttempts();
+        // Presence changes made while disconnected never reached Discord
+        this.flushPresence();
+        this.client.emit("resumed");
+        break;
+      case "READY_SUPPLEMENTAL": {
+        const merged = message.d.merged_presences || {};
+        for (const presence of merged.friends || []) {
+          this.cachePresence(presence);
+        }
+        this.client.emit("dispatch", message);
+        break;
+      }
+      case "PRESENCE_UPDATE": {
+        const cache = message.d.guild_id
+          ? this.client.getGuild(message.d.guild_id).presences
+          : this.client.presences;
+        const cached = cache.get(message.d.user.id);
+        const old = cached ? cached._clone() : null;
+        const presence = this.cachePresence(message.d);
+        this.client.emit("presenceUpdate", old, presence);
+        break;
+      }
+      case "VOICE_STATE_UPDATE": {
+        const guild = message.d.guild_id
+          ? this.client.getGuild(message.d.guild_id)
+          : null;
+        const isSelf =
+          this.client.user && message.d.user_id === this.client.user.id;
+        const cached = guild
+          ? guild.voiceStates.get(message.d.user_id)
+          : isSelf && this.client.voiceState;
+        const old = cached ? cached._clone() : null;
+        const state = guild
+          ? guild._addVoiceState(message.d)
+          : new VoiceState(this.client, message.d);
+
+        if (isSelf) {
+          this.client.voiceState = state.channelId ? state : null;
+          if (!state.channelId) {
+            this.client.voiceServer = null;
+          }
+        }
+        this.client.emit("voiceStateUpdate", old, state);
+        break;
+      }
+      case "VOICE_SERVER_UPDATE":
+        this.client.voiceServer = {
+          token: message.d.token,
+          guildId: message.d.guild_id || null,
+          channelId: message.d.channel_id || null,
+          endpoint: message.d.endpoint,
+        };
+        this.client.emit("voiceServerUpdate", this.client.voiceServer);
+        break;
+      case "USER_UPDATE":
+        if (this.client.user && message.d.id === this.client.user.id) {
+          this.client.user._patch(message.d);
+        }
+        this.client.emit("dispatch", message);
+        break;
+      case "USER_SETTINGS_UPDATE":
+        if (this.client.user) {
+          Object.assign(this.client.user.settings, message.d);
+        }
+        this.client.emit("dispatch", message);
+        break;
+      case "RELATIONSHIP_ADD":
+        this.client.relationships.set(message.d.id, message.d);
+        this.client.emit("dispatch", message);
+        break;
+      case "RELATIONSHIP_REMOVE":
+        this.client.relationships.delete(message.d.id);
+        this.client.emit("dispatch", message);
+        break;
       case "MESSAGE_CREATE": {
         const msg = new Message(this.client, message.d);
+        const channel = this.client.getChannel(msg.channelId);
+        channel.messages.set(msg.id, msg);
+        // Our own message ends the typing indicator, so stop refreshing it
+        if (
+          this.client.user &&
+          msg.author &&
+          msg.author.id === this.client.user.id
+        ) {
+          channel.stopTyping();
+        }
+        this.client.interactions._handleMessage(msg, false);
         this.client.emit("messageCreate", msg);
         break;
       }
+      case "TYPING_START": {
+        const channel = this.client.getChannel(message.d.channel_id);
+        const guild = message.d.guild_id
+          ? this.client.getGuild(message.d.guild_id)
+          : null;
+        const member =
+          guild && message.d.member ? guild._addMember(message.d.member) : null;
+
+        this.client.emit("typingStart", {
+          channel,
+          guild,
+          member,
+          user: this.resolveUser(channel, member, message.d.user_id),
+          // Discord sends the start time in seconds
+          timestamp: message.d.timestamp * 1000,
+        });
+        break;
+      }
+      case "GUILD_APPLICATION_COMMAND_INDEX_UPDATE":
+        if (this.client.rest) {
+          this.client.rest
+            .invalidateCommandIndex(message.d.guild_id, message.d.version)
+            .catch(() => {});
+        }
+        this.client.emit("applicationCommandIndexUpdate", message.d);
+        break;
+      case "INTERACTION_CREATE":
+        this.client.interactions._handleCreate(message.d);
+        this.client.emit("interactionCreate", message.d);
+        break;
+      case "INTERACTION_SUCCESS":
+        this.client.interactions._handleSuccess(message.d);
+        this.client.emit("interactionSuccess", message.d);
+        break;
+      case "INTERACTION_FAILURE":
+        this.client.interactions._handleFailure(message.d);
+        this.client.emit("interactionFailure", message.d);
+        break;
+      case "INTERACTION_MODAL_CREATE": {
+        const modal = new Modal(this.client, message.d);
+        this.client.interactions._handleModal(modal);
+        this.client.emit("interactionModalCreate", modal);
+        break;
+      }
+      case "MESSAGE_REACTION_ADD":
+      case "MESSAGE_REACTION_REMOVE":
+        this.handleReaction(message.t === "MESSAGE_REACTION_ADD", message.d);
+        break;
+      case "MESSAGE_REACTION_REMOVE_ALL": {
+        const msg = this.reactionMessage(message.d);
+        this.client.emit(
+          "messageReactionRemoveAll",
+          msg,
+          msg.partial ? [] : msg._clearReactions(),
+        );
+        break;
+      }
+      case "MESSAGE_REACTION_REMOVE_EMOJI": {
+        const msg = this.reactionMessage(message.d);
+        if (!msg.partial) {
+          msg._clearReactions(message.d.emoji);
+        }
+        this.client.emit("messageReactionRemoveEmoji", msg, message.d.emoji);
+        break;
+      }
+      case "MESSAGE_UPDATE":
+        this.handleMessageUpdate(message.d);
+        break;
+      case "MESSAGE_DELETE": {
+        const channel = this.client.getChannel(message.d.channel_id);
+        const msg = this.takeMessage(channel, message.d.id, message.d);
+        this.client.emit("messageDelete", msg);
+        break;
+      }
+      case "MESSAGE_DELETE_BULK": {
+        const channel = this.client.getChannel(message.d.channel_id);
+        const messages = new Map();
+        for (const id of message.d.ids) {
+          messages.set(id, this.takeMessage(channel, id, message.d));
+        }
+        this.client.emit("messageDeleteBulk", messages, channel);
+        break;
+      }
       case "GUILD_CREATE": {
-        const guild = new Guild(this.client, this.client.rest, message.d);
-        this.client.guilds.set(guild.id, guild);
-        this.client.emit("guildCreate", guild);
+        const cached = this.client.guilds.get(message.d.id);
+        const wasUnavailable = Boolean(cached && cached.unavailable);
+        const guild = this.client._cacheGuild({
+          unavailable: false,
+          ...message.d,
+        });
+        if (wasUnavailable && !guild.unavailable) {
+          this.client.emit("guildAvailable", guild);
+        } else {
+          this.client.emit("guildCreate", guild);
+        }
+        break;
+      }
+      case "GUILD_UPDATE": {
+        const cached = this.client.guilds.get(message.d.id);
+        const old = cached ? cached._clone() : null;
+        const guild = this.client._cacheGuild(message.d);
+        this.client.emit("guildUpdate", old, guild);
+        break;
+      }
+      case "GUILD_DELETE": {
+        const guild =
+          this.client.guilds.get(message.d.id) ||
+          new Guild(this.client, this.client.rest, message.d);
+
+        if (message.d.unavailable) {
+          // Outage: the guild still exists and we're still in it
+          guild._patch({ unavailable: true });
+          this.client.guilds.set(guild.id, guild);
+          this.client.emit("guildUnavailable", guild);
+          break;
+        }
+
+        this.client.guilds.delete(guild.id);
+        for (const [id, channel] of this.client.channels) {
+          if (channel.data.guild_id === guild.id) {
+            channel.deleted = true;
+            this.client.channels.delete(id);
+          }
+        }
+        this.client.emit("guildDelete", guild);
+        break;
+      }
+      case "GUILD_MEMBER_ADD": {
+        const { guild_id: guildId, ...data } = message.d;
+        const guild = this.client.getGuild(guildId);
+        const member = guild._addMember(data);
+        this.client.emit("guildMemberAdd", member);
+        break;
+      }
+      case "GUILD_MEMBER_UPDATE": {
+        const { guild_id: guildId, ...data } = message.d;
+        const guild = this.client.getGuild(guildId);
+        const cached = guild.members.get(data.user.id);
+        const old = cached ? cached._clone() : null;
+        const member = guild._addMember(data);
+        this.client.emit("guildMemberUpdate", old, member);
+        break;
+      }
+      case "GUILD_MEMBER_REMOVE": {
+        const guild = this.client.getGuild(message.d.guild_id);
+        const member =
+          guild.members.get(message.d.user.id) ||
+          new GuildMember(this.client, guild, { user: message.d.user });
+        guild.members.delete(member.id);
+        this.client.emit("guildMemberRemove", member);
+        break;
+      }
+      case "GUILD_MEMBERS_CHUNK": {
+        const guild = this.client.getGuild(message.d.guild_id);
+        const members = new Map();
+        for (const data of message.d.members) {
+          const member = guild._addMember(data);
+          members.set(member.id, member);
+        }
+        for (const presence of message.d.presences || []) {
+          guild._addPresence(presence);
+        }
+        this.client.emit("guildMembersChunk", members, guild, {
+          index: message.d.chunk_index,
+          count: message.d.chunk_count,
+          nonce: message.d.nonce,
+          notFound: message.d.not_found || [],
+        });
+        break;
+      }
+      case "GUILD_MEMBER_LIST_UPDATE": {
+        const guild = this.client.getGuild(message.d.guild_id);
+        const list = guild
+          ._getOrCreateMemberList(message.d.id)
+          ._apply(message.d);
+        this.client.emit("guildMemberListUpdate", list, guild, message.d.ops);
         break;
       }
       case "CHANNEL_CREATE": {
-        const channel = new Channel(this.client, this.client.rest, message.d);
-        this.client.channels.set(channel.id, channel);
+        const channel = this.client._cacheChannel(message.d);
         this.client.emit("channelCreate", channel);
         break;
       }
+      case "CHANNEL_UPDATE": {
+        const cached = this.client.channels.get(message.d.id);
+        const old = cached ? cached._clone() : null;
+        const channel = this.client._cacheChannel(message.d);
+        this.client.emit("channelUpdate", old, channel);
+        break;
+      }
+      case "CHANNEL_DELETE": {
+        const channel =
+          this.client.channels.get(message.d.id) ||
+          new Channel(this.client, this.client.rest, message.d);
+        channel._patch(message.d);
+        channel.deleted = true;
+        this.client.channels.delete(channel.id);
+        this.client.emit("channelDelete", channel);
+        break;
+      }
       default:
         this.client.emit("dispatch", message);
     }
   }
 
-  reconnect() {
+  resetReconnectAttempts() {
+    if (this.wsOptions.resetReconnectAttempts) {
+      this.reconnectAttempts = 0;
+    }
+  }
+
+  hydrateReady(data) {
+    // Fill the caches before "ready" fires so handlers can use them right away
+    if (this.client.user) {
+      this.client.user._patch(data.user);
+    } else {
+      this.client.user = new ClientUser(this.client, data.user);
+    }
+    this.client.user.settings = data.user_settings || {};
+
+    for (const guild of data.guilds || []) {
+      // Guilds sent with client capabilities keep their fields under "properties"
+      this.client._cacheGuild({ ...guild.properties, ...guild });
+    }
+
+    for (const channel of data.private_channels || []) {
+      this.client._cacheChannel(channel);
+    }
+
+    for (const presence of data.presences || []) {
+      this.cachePresence(presence);
+    }
+
+    this.client.relationships.clear();
+    for (const relationship of data.relationships || []) {
+      this.client.relationships.set(relationship.id, relationship);
+    }
+  }
+
+  cachePresence(data) {
+    if (data.guild_id) {
+      return this.client.getGuild(data.guild_id)._addPresence(data);
+    }
+
+    let presence = this.client.presences.get(data.user.id);
+    if (presence) {
+      presence._patch(data);
+    } else {
+      presence = new Presence(this.client, data);
+    }
+    this.client.presences.set(data.user.id, presence);
+    return presence;
+  }
+
+  handleMessageUpdate(data) {
+    const channel = this.client.getChannel(data.channel_id);
+    const cached = channel.messages.get(data.id);
+
+    if (cached) {
+      const old = cached._clone();
+      cached._patch(data);
+      this.client.interactions._handleMessage(cached, true);
+      this.client.emit("messageUpdate", old, cached);
+      return;
+    }
+
+    // Not cached: all we know about the old version is where it lives
+    const old = new Message(
+      this.client,
+      { id: data.id, channel_id: data.channel_id, guild_id: data.guild_id },
+      true,
+    );
+    const updated = new Message(this.client, data, !data.author);
+    if (!updated.partial) {
+      channel.messages.set(updated.id, updated);
+    }
+    this.client.interactions._handleMessage(updated, true);
+    this.client.emit("messageUpdate", old, updated);
+  }
+
+  reactionMessage(data) {
+    // Reactions on uncached messages come with a partial message
+    const channel = this.client.getChannel(data.channel_id);
+    return (
+      channel.messages.get(data.message_id) ||
+      new Message(
+        this.client,
+        {
+          id: data.message_id,
+          channel_id: data.channel_id,
+          guild_id: data.guild_id,
+        },
+        true,
+      )
+    );
+  }
+
+  handleReaction(added, data) {
+    const msg = this.reactionMessage(data);
+    const guild = data.guild_id ? this.client.getGuild(data.guild_id) : null;
+    const member = guild && data.member ? guild._addMember(data.member) : null;
+    const me = Boolean(
+      this.client.user && data.user_id === this.client.user.id,
+    );
+    const burst = Boolean(data.burst);
+
+    let count = null;
+    if (!msg.partial) {
+      const reaction = added
+        ? msg._addReaction(data.emoji, me, burst, data.burst_colors)
+        : msg._removeReaction(data.emoji, me, burst);
+      count = reaction ? reaction.count : 0;
+    }
+
+    this.client.emit(
+      added ? "messageReactionAdd" : "messageReactionRemove",
+      {
+        message: msg,
+        emoji: data.emoji,
+        burst,
+        burstColors: data.burst_colors || [],
+        count,
+        me,
+      },
+      this.resolveUser(msg.channel, member, data.user_id),
+    );
+  }
+
+  resolveUser(channel, member, userId) {
+    // Best known user object: the member's, a DM recipient's, or just the ID
+    if (member && member.user) return member.user;
+    const recipients = channel.data.recipients || [];
+    return (
+      recipients.find((recipient) => recipient.id === userId) || { id: userId }
+    );
+  }
+
+  takeMessage(channel, id, data) {
+    // Remove a deleted message from the cache, falling back to a partial one
+    const msg =
+      channel.messages.get(id) ||
+      new Message(
+        this.client,
+        { id, channel_id: data.channel_id, guild_id: data.guild_id },
+        true,
+      );
+    channel.messages.delete(id);
+    msg.deleted = true;
+    return msg;
+  }
+
+  reconnect(resume = false) {
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       const err = new WebSocketError("Max reconnect attempts reached");
-      console.error(err);
+      this.logger.error("Max reconnect attempts reached", {
+        attempts: this.reconnectAttempts,
+      });
       this.client.emit("error", err);
       this.client.emit("maxReconnects");
       return;
     }
 
     this.reconnectAttempts++;
-    const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000); // Exponential backoff
-    console.log(`Reconnecting in ${delay}ms...`);
-    setTimeout(() => {
-      this.connect();
+    const delay = Math.min(
+      this.wsOptions.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+      this.wsOptions.maxReconnectDelay,
+    ); // Exponential backoff
+    this.logger.info(
+      resume && this.canResume() ? "Resuming session" : "Reconnecting",
+      { delay, attempt: this.reconnectAttempts },
+    );
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.connect(resume);
     }, delay);
   }
 }
@@ -19,6 +19,8 @@
 
 const Client = require("./classes/Client");
 const WebhookClient = require("./connection/webhook/WebhookClient");
+const GatewayRecorder = require("./connection/ws/GatewayRecorder");
+const GatewayReplayer = require("./connection/ws/GatewayReplayer");
 
 /**
  * Main package exports
@@ -38,4 +40,18 @@ module.exports = {
    * @see {@link WebhookClient}
    */
   WebhookClient,
+
+  /**
+   * Records gateway traffic to a JSONL file
+   * @type {GatewayRecorder}
+   * @see {@link GatewayRecorder}
+   */
+  GatewayRecorder,
+
+  /**
+   * Replays a gateway recording into a client without a network
+   * @type {GatewayReplayer}
+   * @see {@link GatewayReplayer}
+   */
+  GatewayReplayer,
 };
@@ -0,0 +1,1030 @@
+const http = require("http");
+const zlib = require("zlib");
+const { EventEmitter } = require("events");
+const { WebSocketServer } = require("ws");
+const Snowflake = require("../util/Snowflake");
+const Emoji = require("../util/Emoji");
+
+/**
+ * An in-process stand-in for the Discord gateway and REST API, for testing
+ * code built on {@link Client} without a live token.
+ *
+ * The gateway speaks the handshake the client expects (Hello, Identify, READY,
+ * heartbeat ACKs and Resume), and the REST side serves the routes used by
+ * {@link RestManager}. Every REST request and gateway payload received is
+ * recorded so tests can assert on them.
+ * @extends EventEmitter
+ *
+ * @example
+ * const { MockDiscordServer } = require("discord-self-lite/testing");
+ *
+ * const server = new MockDiscordServer();
+ * await server.start();
+ *
+ * const client = new Client(server.clientOptions());
+ * await client.login("mock-token");
+ * await server.waitFor("identify");
+ *
+ * server.dispatch("MESSAGE_CREATE", { id: "1", channel_id: "2", content: "hi" });
+ */
+class MockDiscordServer extends EventEmitter {
+  /**
+   * Create a new MockDiscordServer
+   * @param {object} [options={}] - Server options
+   * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+   * @param {string} [options.host="127.0.0.1"] - Host to listen on
+   * @param {number} [options.heartbeatInterval=41250] - Heartbeat interval sent in Hello
+   * @param {object} [options.user] - User object sent in READY
+   * @param {Array<object>} [options.guilds=[]] - Guilds sent in READY and served over REST
+   * @param {Array<object>} [options.channels=[]] - Channels served over REST
+   * @param {boolean} [options.echoMessages=true] - Dispatch MESSAGE_CREATE and reaction events for messages and reactions sent over REST
+   * @param {number} [options.memberChunkSize=1000] - Members per GUILD_MEMBERS_CHUNK when answering op 8
+   * @param {object} [options.commandIndex] - Application command index (`{ applications, application_commands, version }`)
+   * served for every guild and channel
+   * @param {object} [options.userCommandIndex] - Application command index of the user's installed apps
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      port: 0,
+      host: "127.0.0.1",
+      heartbeatInterval: 41250,
+      echoMessages: true,
+      ...options,
+    };
+    this.user = this.options.user || {
+      id: Snowflake.generate(),
+      username: "mock-user",
+      discriminator: "0",
+      global_name: "Mock User",
+      avatar: null,
+      bot: false,
+    };
+
+    this.httpServer = null;
+    this.wss = null;
+    this.apiURL = null;
+    this.cdnURL = null;
+    this.gatewayURL = null;
+
+    // Recorded traffic
+    this.requests = [];
+    this.gatewayPayloads = [];
+
+    // Gateway state
+    this.connections = new Set();
+    this.sessions = new Map(); // sessionId -> { sequence, events }
+    this.ackHeartbeats = true;
+
+    // REST state
+    this.routes = [];
+    this.rateLimits = [];
+    this.guilds = new Map();
+    this.channels = new Map();
+    this.messages = new Map(); // channelId -> Array<message>
+    this.reactions = new Map(); // "messageId:emoji:type" -> Set<userId>
+    this.interactionHandler = () => null;
+    this.commandIndex = {
+      applications: [],
+      application_commands: [],
+      version: Snowflake.generate(),
+      ...this.options.commandIndex,
+    };
+    this.userCommandIndex = {
+      applications: [],
+      application_commands: [],
+      version: Snowflake.generate(),
+      ...this.options.userCommandIndex,
+    };
+
+    for (const guild of this.options.guilds || []) {
+      this.guilds.set(guild.id, guild);
+      for (const channel of guild.channels || []) {
+        this.channels.set(channel.id, { ...channel, guild_id: guild.id });
+      }
+    }
+    for (const channel of this.options.channels || []) {
+      this.channels.set(channel.id, channel);
+    }
+
+    this.registerDefaultRoutes();
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<MockDiscordServer>} This server
+   */
+  async start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+    this.wss = new WebSocketServer({ server: this.httpServer });
+    this.wss.on("connection", (socket, req) => {
+      this.handleConnection(socket, req);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(this.options.port, this.options.host, resolve);
+    });
+
+    const { port } = this.httpServer.address();
+    const base = `${this.options.host}:${port}`;
+    this.apiURL = `http://${base}/api`;
+    this.cdnURL = `http://${base}/cdn`;
+    this.gatewayURL = `ws://${base}`;
+    return this;
+  }
+
+  /**
+   * Stop the server and close every gateway connection
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    for (const connection of this.connections) {
+      connection.socket.terminate();
+    }
+    this.connections.clear();
+
+    if (this.wss) {
+      await new Promise((resolve) => this.wss.close(resolve));
+      this.wss = null;
+    }
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+  }
+
+  /**
+   * Client options that point a {@link Client} at this server
+   * @param {object} [options={}] - Extra client options to merge in
+   * @returns {object} Client options
+   */
+  clientOptions(options = {}) {
+    return {
+      ...options,
+      http: { api: this.apiURL, cdn: this.cdnURL, ...options.http },
+      ws: { gateway: this.gatewayURL, ...options.ws },
+    };
+  }
+
+  /**
+   * Wait for an event emitted by this server
+   * @param {string} event - Event name (`request`, `gatewayPayload`, `identify`, `resume`, `heartbeat`, `connection`)
+   * @param {Function} [filter] - Only resolve for events matching this filter
+   * @param {number} [timeout=5000] - Time to wait in milliseconds
+   * @returns {Promise<*>} The first matching event argument
+   */
+  waitFor(event, filter = () => true, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const listener = (value) => {
+        if (!filter(value)) return;
+        clearTimeout(timer);
+        this.off(event, listener);
+        resolve(value);
+      };
+      const timer = setTimeout(() => {
+        this.off(event, listener);
+        reject(new Error(`Timed out waiting for "${event}"`));
+      }, timeout);
+      this.on(event, listener);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Gateway
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Handle a new gateway connection
+   * @private
+   */
+  handleConnection(socket, req) {
+    const query = new URL(req.url, "ws://localhost").searchParams;
+    const connection = {
+      socket,
+      sessionId: null,
+      deflate:
+        query.get("compress") === "zlib-stream" ? zlib.createDeflate() : null,
+    };
+    this.connections.add(connection);
+
+    socket.on("message", (data) => {
+      this.handleGatewayPayload(connection, JSON.parse(data.toString()));
+    });
+    socket.on("close", () => {
+      this.connections.delete(connection);
+      if (connection.deflate) connection.deflate.close();
+    });
+
+    this.emit("connection", connection);
+    this.sendPayload(connection, {
+      op: 10,
+      d: { heartbeat_interval: this.options.heartbeatInterval },
+    });
+  }
+
+  /**
+   * Handle a payload received from a client
+   * @private
+   */
+  handleGatewayPayload(connection, payload) {
+    this.gatewayPayloads.push(payload);
+    this.emit("gatewayPayload", payload);
+
+    switch (payload.op) {
+      case 1: // Heartbeat
+        this.emit("heartbeat", payload);
+        if (this.ackHeartbeats) {
+          this.sendPayload(connection, { op: 11 });
+        }
+        break;
+      case 2: // Identify
+        this.handleIdentify(connection, payload);
+        break;
+      case 4: // Voice State Update
+        this.handleVoiceStateUpdate(connection, payload);
+        break;
+      case 6: // Resume
+        this.handleResume(connection, payload);
+        break;
+      case 8: // Request Guild Members
+        this.handleRequestMembers(connection, payload);
+        break;
+    }
+  }
+
+  /**
+   * Answer a member request with GUILD_MEMBERS_CHUNK dispatches, built from
+   * the `members` of the configured guild
+   * @private
+   */
+  handleRequestMembers(connection, payload) {
+    const { guild_id: guildId, query, user_ids: userIds, nonce } = payload.d;
+    const limit = payload.d.limit || Infinity;
+    const guild = this.guilds.get(guildId);
+    const all = (guild && guild.members) || [];
+
+    let members;
+    let notFound = [];
+    if (userIds) {
+      members = all.filter((member) => userIds.includes(member.user.id));
+      notFound = userIds.filter(
+        (id) => !members.some((member) => member.user.id === id),
+      );
+    } else {
+      const prefix = (query || "").toLowerCase();
+      members = all.filter((member) =>
+        member.user.username.toLowerCase().startsWith(prefix),
+      );
+    }
+    members = members.slice(0, limit);
+
+    const size = this.options.memberChunkSize || 1000;
+    const count = Math.max(1, Math.ceil(members.length / size));
+    for (let index = 0; index < count; index++) {
+      this.dispatchTo(connection, "GUILD_MEMBERS_CHUNK", {
+        guild_id: guildId,
+        members: members.slice(index * size, (index + 1) * size),
+        chunk_index: index,
+        chunk_count: count,
+        not_found: index === 0 ? notFound : [],
+        nonce,
+      });
+    }
+  }
+
+  /**
+   * Answer a voice state update with VOICE_STATE_UPDATE, plus VOICE_SERVER_UPDATE
+   * when the user joins voice in a new guild
+   * @private
+   */
+  handleVoiceStateUpdate(connection, payload) {
+    const { guild_id: guildId, channel_id: channelId } = payload.d;
+    const joinedGuild = channelId && connection.voiceGuildId !== guildId;
+    connection.voiceGuildId = channelId ? guildId : undefined;
+
+    this.dispatchTo(connection, "VOICE_STATE_UPDATE", {
+      ...payload.d,
+      user_id: this.user.id,
+      session_id: connection.sessionId,
+      deaf: false,
+      mute: false,
+      suppress: false,
+    });
+    if (joinedGuild) {
+      this.dispatchTo(connection, "VOICE_SERVER_UPDATE", {
+        token: Snowflake.generate(),
+        guild_id: guildId,
+        endpoint: "localhost",
+      });
+    }
+  }
+
+  /**
+   * Start a new session and send READY
+   * @private
+   */
+  handleIdentify(connection, payload) {
+    const sessionId = Snowflake.generate();
+    this.sessions.set(sessionId, { sequence: 0, events: [] });
+    connection.sessionId = sessionId;
+
+    this.emit("identify", payload);
+    this.dispatchTo(connection, "READY", {
+      v: 9,
+      user: this.user,
+      guilds: [...this.guilds.values()],
+      private_channels: [...this.channels.values()].filter(
+        (channel) => !channel.guild_id,
+      ),
+      relationships: [],
+      user_settings: {},
+      session_id: sessionId,
+      resume_gateway_url: this.gatewayURL,
+    });
+  }
+
+  /**
+   * Replay missed events and send RESUMED, or invalidate the session
+   * @private
+   */
+  handleResume(connection, payload) {
+    const session = this.sessions.get(payload.d.session_id);
+    this.emit("resume", payload);
+
+    if (!session) {
+      this.sendPayload(connection, { op: 9, d: false });
+      return;
+    }
+
+    connection.sessionId = payload.d.session_id;
+    for (const event of session.events) {
+      if (event.s > payload.d.seq) {
+        this.sendPayload(connection, event);
+      }
+    }
+    this.dispatchTo(connection, "RESUMED", {});
+  }
+
+  /**
+   * Send a dispatch event to every identified connection.
+   * Events are also kept on the session so a later resume replays them.
+   * @param {string} event - The event name, e.g. `MESSAGE_CREATE`
+   * @param {object} data - The event data
+   * @returns {void}
+   */
+  dispatch(event, data) {
+    for (const connection of this.connections) {
+      if (connection.sessionId) {
+        this.dispatchTo(connection, event, data);
+      }
+    }
+  }
+
+  /**
+   * Send a dispatch event on a single connection
+   * @private
+   */
+  dispatchTo(connection, event, data) {
+    const session = this.sessions.get(connection.sessionId);
+    const payload = { op: 0, t: event, s: ++session.sequence, d: data };
+    session.events.push(payload);
+    this.sendPayload(connection, payload);
+  }
+
+  /**
+   * Queue an event for the next resume without sending it, as if it was
+   * dispatched while the client was disconnected
+   * @param {string} sessionId - The session ID
+   * @param {string} event - The event name
+   * @param {object} data - The event data
+   * @returns {void}
+   */
+  queueEvent(sessionId, event, data) {
+    const session = this.sessions.get(sessionId);
+    if (!session) throw new Error(`Unknown session ${sessionId}`);
+    session.events.push({ op: 0, t: event, s: ++session.sequence, d: data });
+  }
+
+  /**
+   * Send a raw payload to every connection
+   * @param {object} payload - The payload
+   * @returns {void}
+   */
+  broadcast(payload) {
+    for (const connection of this.connections) {
+      this.sendPayload(connection, payload);
+    }
+  }
+
+  /**
+   * Ask every client to reconnect (op 7)
+   * @returns {void}
+   */
+  requestReconnect() {
+    this.broadcast({ op: 7, d: null });
+  }
+
+  /**
+   * Invalidate every client's session (op 9)
+   * @param {boolean} [resumable=false] - Whether the session may be resumed
+   * @returns {void}
+   */
+  invalidateSession(resumable = false) {
+    if (!resumable) {
+      for (const connection of this.connections) {
+        this.sessions.delete(connection.sessionId);
+        connection.sessionId = null;
+      }
+    }
+    this.broadcast({ op: 9, d: resumable });
+  }
+
+  /**
+   * Close every gateway connection with a close code
+   * @param {number} [code=4000] - The close code
+   * @param {string} [reason=""] - The close reason
+   * @returns {void}
+   */
+  closeConnections(code = 4000, reason = "") {
+    for (const connection of this.connections) {
+      connection.socket.close(code, reason);
+    }
+  }
+
+  /**
+   * Encode and send a payload, compressing it for zlib-stream connections
+   * @private
+   */
+  sendPayload(connection, payload) {
+    const { socket, deflate } = connection;
+    if (socket.readyState !== socket.OPEN) return;
+
+    const json = JSON.stringify(payload);
+    if (!deflate) {
+      socket.send(json);
+      return;
+    }
+
+    deflate.write(json);
+    deflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+      const chunk = deflate.read();
+      if (chunk && socket.readyState === socket.OPEN) {
+        socket.send(chunk);
+      }
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // REST
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Register a REST route. Later routes take precedence over earlier ones,
+   * so tests can override the built-in routes.
+   * @param {string} method - HTTP method
+   * @param {string} path - Path after `/api/v{n}`, with `:param` placeholders
+   * @param {Function} handler - Called with the request, returns `{ status, body, headers }`
+   * (or a promise of it). Returning only a body implies status 200
+   * @returns {MockDiscordServer} This server
+   */
+  route(method, path, handler) {
+    const keys = [];
+    const pattern = path.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return "([^/]+)";
+    });
+    this.routes.unshift({
+      method: method.toUpperCase(),
+      regex: new RegExp(`^${pattern}$`),
+      keys,
+      handler,
+    });
+    return this;
+  }
+
+  /**
+   * Make the next matching requests fail with a 429
+   * @param {object} [options={}] - Rate limit options
+   * @param {string} [options.method] - Only match this HTTP method
+   * @param {string|RegExp} [options.path] - Only match this path (exact string or regex)
+   * @param {number} [options.retryAfter=1] - Retry after value in seconds
+   * @param {boolean} [options.global=false] - Whether the rate limit is global
+   * @param {number} [options.count=1] - How many requests to reject
+   * @returns {MockDiscordServer} This server
+   */
+  rateLimit(options = {}) {
+    this.rateLimits.push({
+      retryAfter: 1,
+      global: false,
+      count: 1,
+      ...options,
+    });
+    return this;
+  }
+
+  /**
+   * Handle an HTTP request
+   * @private
+   */
+  async handleRequest(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const buffer = Buffer.concat(chunks);
+    const raw = buffer.toString();
+
+    const url = new URL(req.url, "http://localhost");
+    const path = url.pathname.replace(/^\/api(?:\/v\d+)?/, "");
+    const contentType = req.headers["content-type"] || "";
+    let body = null;
+    let files = [];
+    if (raw && /json/.test(contentType)) {
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        body = raw;
+      }
+    } else if (raw && /multipart\/form-data/.test(contentType)) {
+      ({ body, files } = await this.parseMultipart(buffer, contentType));
+    } else if (raw) {
+      body = raw;
+    }
+
+    const request = {
+      method: req.method,
+      path,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body,
+      files,
+      params: {},
+    };
+    this.requests.push(request);
+    this.emit("request", request);
+
+    const rateLimit = this.matchRateLimit(request);
+    if (rateLimit) {
+      this.sendResponse(res, {
+        status: 429,
+        headers: {
+          "retry-after": String(rateLimit.retryAfter),
+          "x-ratelimit-global": String(rateLimit.global),
+          "x-ratelimit-limit": "5",
+          "x-ratelimit-remaining": "0",
+          "x-ratelimit-reset": String(Date.now() / 1000 + rateLimit.retryAfter),
+          "x-ratelimit-reset-after": String(rateLimit.retryAfter),
+          ...(rateLimit.global ? {} : { "x-ratelimit-scope": "user" }),
+        },
+        body: {
+          message: "You are being rate limited.",
+          retry_after: rateLimit.retryAfter,
+          global: rateLimit.global,
+        },
+      });
+      return;
+    }
+
+    for (const route of this.routes) {
+      if (route.method !== request.method) continue;
+      const match = path.match(route.regex);
+      if (!match) continue;
+
+      route.keys.forEach((key, index) => {
+        request.params[key] = decodeURIComponent(match[index + 1]);
+      });
+
+      try {
+        const result = await route.handler(request);
+        this.sendResponse(
+          res,
+          result && typeof result.status === "number"
+            ? result
+            : { status: 200, body: result },
+        );
+      } catch (error) {
+        this.sendResponse(res, {
+          status: 500,
+          body: { message: error.message, code: 0 },
+        });
+      }
+      return;
+    }
+
+    this.sendResponse(res, this.error(404, "404: Not Found"));
+  }
+
+  /**
+   * Parse a multipart body: `payload_json` becomes the body, file parts are
+   * listed as `{ field, name, type, size }`
+   * @private
+   */
+  async parseMultipart(buffer, contentType) {
+    const form = await new Response(buffer, {
+      headers: { "content-type": contentType },
+    }).formData();
+
+    let body = null;
+    const files = [];
+    for (const [field, value] of form.entries()) {
+      if (typeof value === "string") {
+        if (field === "payload_json") body = JSON.parse(value);
+      } else {
+        files.push({
+          field,
+          name: value.name,
+          type: value.type,
+          size: value.size,
+        });
+      }
+    }
+    return { body, files };
+  }
+
+  /**
+   * Find and consume a rate limit matching a request
+   * @private
+   */
+  matchRateLimit(request) {
+    const index = this.rateLimits.findIndex(
+      (limit) =>
+        (!limit.method || limit.method.toUpperCase() === request.method) &&
+        (!limit.path ||
+          (limit.path instanceof RegExp
+            ? limit.path.test(request.path)
+            : limit.path === request.path)),
+    );
+    if (index === -1) return null;
+
+    const limit = this.rateLimits[index];
+    if (--limit.count <= 0) {
+      this.rateLimits.splice(index, 1);
+    }
+    return limit;
+  }
+
+  /**
+   * Write a response
+   * @private
+   */
+  sendResponse(res, { status = 200, body = null, headers = {} }) {
+    const responseHeaders = {
+      "x-ratelimit-limit": "5",
+      "x-ratelimit-remaining": "4",
+      "x-ratelimit-reset": String(Date.now() / 1000 + 5),
+      "x-ratelimit-reset-after": "5",
+      ...headers,
+    };
+
+    if (status === 204 || body === null) {
+      res.writeHead(status === 200 ? 204 : status, responseHeaders);
+      res.end();
+      return;
+    }
+
+    res.writeHead(status, {
+      "content-type": "application/json",
+      ...responseHeaders,
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Build an error response in Discord's format
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   * @param {number} [code=0] - Discord JSON error code
+   * @returns {{status: number, body: object}} The response
+   */
+  error(status, message, code = 0) {
+    return { status, body: { message, code } };
+  }
+
+  /**
+   * Replace the application command index served for guilds and channels, with a new
+   * version, and dispatch GUILD_APPLICATION_COMMAND_INDEX_UPDATE for every guild
+   * @param {object} index - `{ applications, application_commands }`
+   * @returns {MockDiscordServer} This server
+   */
+  setCommandIndex(index) {
+    this.commandIndex = {
+      applications: [],
+      application_commands: [],
+      ...index,
+      version: Snowflake.generate(),
+    };
+    for (const guildId of this.guilds.keys()) {
+      this.dispatch("GUILD_APPLICATION_COMMAND_INDEX_UPDATE", {
+        guild_id: guildId,
+        version: this.commandIndex.version,
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Decide how interactions sent to `/interactions` are answered. By default every
+   * interaction is created and succeeds without a response message.
+   * @param {Function} handler - Called with the interaction payload. Returns (or resolves to) nothing to
+   * only acknowledge, `{ message }` to answer with a new message, `{ update }` to edit the message a
+   * component is on, `{ modal }` to open a modal, `{ failure: true, reasonCode }` to fail, or
+   * `{ ignore: true }` to never answer
+   * @returns {MockDiscordServer} This server
+   */
+  respondToInteractions(handler) {
+    this.interactionHandler = handler;
+    return this;
+  }
+
+  /**
+   * Dispatch the gateway events answering an interaction
+   * @private
+   */
+  answerInteraction(payload, answer) {
+    if (answer.ignore) return;
+
+    const id = Snowflake.generate();
+    const { nonce } = payload;
+    this.dispatch("INTERACTION_CREATE", { id, nonce });
+
+    if (answer.failure) {
+      this.dispatch("INTERACTION_FAILURE", {
+        id,
+        nonce,
+        reason_code: answer.reasonCode ?? 1,
+      });
+      return;
+    }
+    if (answer.modal) {
+      this.dispatch("INTERACTION_MODAL_CREATE", {
+        id,
+        nonce,
+        channel_id: payload.channel_id,
+        application: { id: payload.application_id },
+        ...answer.modal,
+      });
+      return;
+    }
+
+    this.dispatch("INTERACTION_SUCCESS", { id, nonce });
+    const metadata = { id, type: payload.type, user: this.user };
+    if (answer.message) {
+      const message = this.createMessage(payload.channel_id, {
+        author: { id: payload.application_id, username: "mock-bot", bot: true },
+        application_id: payload.application_id,
+        interaction_metadata: metadata,
+        ...answer.message,
+      });
+      this.dispatch("MESSAGE_CREATE", message);
+    }
+    if (answer.update) {
+      this.dispatch("MESSAGE_UPDATE", {
+        id: payload.message_id,
+        channel_id: payload.channel_id,
+        ...answer.update,
+      });
+    }
+  }
+
+  /**
+   * Add a reaction to a message, as if it was added by a user.
+   * Dispatches MESSAGE_REACTION_ADD when `echoMessages` is on.
+   * @param {string} channelId - The channel ID
+   * @param {string} messageId - The message ID
+   * @param {string} emoji - A unicode emoji or `name:id`
+   * @param {string} userId - The reacting user's ID
+   * @param {boolean} [burst=false] - Whether it's a burst (super) reaction
+   * @returns {void}
+   */
+  addReaction(channelId, messageId, emoji, userId, burst = false) {
+    this.updateReaction({ channelId, messageId, emoji }, userId, burst, true);
+  }
+
+  /**
+   * Store a reaction change and dispatch its event
+   * @private
+   */
+  updateReaction(params, userId, burst, added) {
+    const id = userId === "@me" ? this.user.id : userId;
+    const key = `${params.messageId}:${params.emoji}:${burst ? 1 : 0}`;
+    if (!this.reactions.has(key)) {
+      this.reactions.set(key, new Set());
+    }
+    const users = this.reactions.get(key);
+    if (added === users.has(id)) return;
+    if (added) {
+      users.add(id);
+    } else {
+      users.delete(id);
+    }
+
+    if (this.options.echoMessages) {
+      this.dispatch(
+        added ? "MESSAGE_REACTION_ADD" : "MESSAGE_REACTION_REMOVE",
+        {
+          user_id: id,
+          channel_id: params.channelId,
+          message_id: params.messageId,
+          emoji: Emoji.parse(params.emoji),
+          burst,
+          type: burst ? 1 : 0,
+        },
+      );
+    }
+  }
+
+  /**
+   * Create a message in a channel, as if it was sent by a user
+   * @param {string} channelId - The channel ID
+   * @param {object} [data={}] - Message fields
+   * @returns {object} The message object
+   */
+  createMessage(channelId, data = {}) {
+    const channel = this.channels.get(channelId);
+    const message = {
+      id: Snowflake.generate(),
+      channel_id: channelId,
+      guild_id: channel ? channel.guild_id : undefined,
+      author: this.user,
+      content: "",
+      timestamp: new Date().toISOString(),
+      edited_timestamp: null,
+      tts: false,
+      mention_everyone: false,
+      mentions: [],
+      mention_roles: [],
+      attachments: [],
+      embeds: [],
+      components: [],
+      type: 0,
+      flags: 0,
+      ...data,
+    };
+
+    if (!this.messages.has(channelId)) {
+      this.messages.set(channelId, []);
+    }
+    this.messages.get(channelId).push(message);
+    return message;
+  }
+
+  /**
+   * Register the routes used by {@link RestManager}
+   * @private
+   */
+  registerDefaultRoutes() {
+    this.route("GET", "/guilds/:guildId", ({ params }) => {
+      const guild = this.guilds.get(params.guildId);
+      return guild || this.error(404, "Unknown Guild", 10004);
+    });
+
+    this.route("GET", "/guilds/:guildId/channels", ({ params }) => {
+      if (!this.guilds.has(params.guildId)) {
+        return this.error(404, "Unknown Guild", 10004);
+      }
+      return [...this.channels.values()].filter(
+        (channel) => channel.guild_id === params.guildId,
+      );
+    });
+
+    this.route("GET", "/channels/:channelId", ({ params }) => {
+      const channel = this.channels.get(params.channelId);
+      return channel || this.error(404, "Unknown Channel", 10003);
+    });
+
+    this.route("GET", "/channels/:channelId/messages", ({ params, query }) => {
+      let messages = [...(this.messages.get(params.channelId) || [])];
+      if (query.before) {
+        messages = messages.filter(
+          (message) => BigInt(message.id) < BigInt(query.before),
+        );
+      }
+      if (query.after) {
+        messages = messages.filter(
+          (message) => BigInt(message.id) > BigInt(query.after),
+        );
+      }
+      const limit = Math.min(Number(query.limit) || 50, 100);
+      return messages.reverse().slice(0, limit);
+    });
+
+    this.route(
+      "GET",
+      "/channels/:channelId/messages/:messageId",
+      ({ params }) => {
+        const message = (this.messages.get(params.channelId) || []).find(
+          (message) => message.id === params.messageId,
+        );
+        return message || this.error(404, "Unknown Message", 10008);
+      },
+    );
+
+    this.route("POST", "/channels/:channelId/messages", ({ params, body }) => {
+      const data = body || {};
+      const message = this.createMessage(params.channelId, {
+        content: data.content || "",
+        embeds: data.embeds || [],
+        components: data.components || [],
+        nonce: data.nonce,
+        message_reference: data.message_reference,
+      });
+      if (this.options.echoMessages) {
+        this.dispatch("MESSAGE_CREATE", message);
+      }
+      return message;
+    });
+
+    const reactionRoute = "/channels/:channelId/messages/:messageId/reactions";
+
+    this.route("PUT", `${reactionRoute}/:emoji/@me`, ({ params, query }) => {
+      const burst = query.type === "1";
+      this.updateReaction(params, this.user.id, burst, true);
+      return { status: 204 };
+    });
+
+    this.route("DELETE", `${reactionRoute}/:emoji/:userId`, ({ params }) => {
+      this.updateReaction(params, params.userId, false, false);
+      return { status: 204 };
+    });
+
+    this.route(
+      "DELETE",
+      `${reactionRoute}/:emoji/:type/:userId`,
+      ({ params }) => {
+        this.updateReaction(params, params.userId, params.type === "1", false);
+        return { status: 204 };
+      },
+    );
+
+    this.route("GET", `${reactionRoute}/:emoji`, ({ params, query }) => {
+      const type = query.type === "1" ? 1 : 0;
+      const key = `${params.messageId}:${params.emoji}:${type}`;
+      const limit = Number(query.limit) || 25;
+      return [...(this.reactions.get(key) || [])]
+        .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))
+        .filter((id) => !query.after || BigInt(id) > BigInt(query.after))
+        .slice(0, limit)
+        .map((id) => (id === this.user.id ? this.user : { id }));
+    });
+
+    this.route("DELETE", `${reactionRoute}/:emoji`, ({ params }) => {
+      for (const key of this.reactions.keys()) {
+        if (key.startsWith(`${params.messageId}:${params.emoji}:`)) {
+          this.reactions.delete(key);
+        }
+      }
+      if (this.options.echoMessages) {
+        this.dispatch("MESSAGE_REACTION_REMOVE_EMOJI", {
+          channel_id: params.channelId,
+          message_id: params.messageId,
+          emoji: Emoji.parse(params.emoji),
+        });
+      }
+      return { status: 204 };
+    });
+
+    this.route("DELETE", reactionRoute, ({ params }) => {
+      for (const key of this.reactions.keys()) {
+        if (key.startsWith(`${params.messageId}:`)) {
+          this.reactions.delete(key);
+        }
+      }
+      if (this.options.echoMessages) {
+        this.dispatch("MESSAGE_REACTION_REMOVE_ALL", {
+          channel_id: params.channelId,
+          message_id: params.messageId,
+        });
+      }
+      return { status: 204 };
+    });
+
+    this.route("POST", "/channels/:channelId/typing", () => ({ status: 204 }));
+
+    this.route(
+      "GET",
+      "/guilds/:guildId/application-command-index",
+      () => this.commandIndex,
+    );
+
+    this.route(
+      "GET",
+      "/channels/:channelId/application-command-index",
+      () => this.commandIndex,
+    );
+
+    this.route(
+      "GET",
+      "/users/@me/application-command-index",
+      () => this.userCommandIndex,
+    );
+
+    this.route("POST", "/interactions", async ({ body }) => {
+      const answer = await this.interactionHandler(body);
+      this.answerInteraction(body, answer || {});
+      return { status: 204 };
+    });
+  }
+}
+
+module.exports = MockDiscordServer;
@@ -0,0 +1,23 @@
+/**
+ * Testing utilities for code built on discord-self-lite
+ * @module discord-self-lite/testing
+ *
+ * @example
+ * const { Client } = require('discord-self-lite');
+ * const { MockDiscordServer } = require('discord-self-lite/testing');
+ *
+ * const server = await new MockDiscordServer().start();
+ * const client = new Client(server.clientOptions());
+ * await client.login('mock-token');
+ */
+
+const MockDiscordServer = require("./MockDiscordServer");
+
+module.exports = {
+  /**
+   * In-process fake of the Discord gateway and REST API
+   * @type {MockDiscordServer}
+   * @see {@link MockDiscordServer}
+   */
+  MockDiscordServer,
+};
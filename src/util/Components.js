@@ -0,0 +1,89 @@
+const Component = require("../classes/Component");
+const ActionRow = require("../classes/ActionRow");
+const Button = require("../classes/Button");
+const SelectMenu = require("../classes/SelectMenu");
+const TextInput = require("../classes/TextInput");
+const Section = require("../classes/Section");
+const Container = require("../classes/Container");
+const TextDisplay = require("../classes/TextDisplay");
+const { ComponentTypes } = require("./Constants");
+
+/**
+ * Select menu component types
+ * @type {number[]}
+ */
+const SELECT_TYPES = [
+  ComponentTypes.STRING_SELECT,
+  ComponentTypes.USER_SELECT,
+  ComponentTypes.ROLE_SELECT,
+  ComponentTypes.MENTIONABLE_SELECT,
+  ComponentTypes.CHANNEL_SELECT,
+];
+
+/**
+ * List every component in a component tree, depth first. Walks action rows and
+ * Components V2 layouts: containers, sections (and their accessory) and labels.
+ * Works on raw component data and on {@link Component} instances alike.
+ * @param {Array<object>} [components=[]] - Top-level components
+ * @returns {Array<object>} All components, parents before their children
+ */
+function flatten(components = []) {
+  const result = [];
+  for (const component of components) {
+    result.push(component);
+    if (Array.isArray(component.components)) {
+      result.push(...flatten(component.components));
+    }
+    if (component.accessory) {
+      result.push(...flatten([component.accessory]));
+    }
+    if (component.component) {
+      result.push(...flatten([component.component]));
+    }
+  }
+  return result;
+}
+
+/**
+ * Build the typed component for raw component data, children included
+ * @param {object} data - Raw component data
+ * @returns {Component} The component
+ */
+function create(data) {
+  const children = (data.components || []).map(create);
+
+  switch (data.type) {
+    case ComponentTypes.ACTION_ROW:
+      return new ActionRow(data, children);
+    case ComponentTypes.BUTTON:
+      return new Button(data);
+    case ComponentTypes.TEXT_INPUT:
+      return new TextInput(data);
+    case ComponentTypes.SECTION:
+      return new Section(
+        data,
+        children,
+        data.accessory ? create(data.accessory) : null,
+      );
+    case ComponentTypes.TEXT_DISPLAY:
+      return new TextDisplay(data);
+    case ComponentTypes.CONTAINER:
+      return new Container(data, children);
+    default:
+      if (SELECT_TYPES.includes(data.type)) {
+        return new SelectMenu(data);
+      }
+  }
+
+  // Other types (e.g. labels and media) keep their raw fields, with typed children
+  const component = new Component(data);
+  if (data.components) component.components = children;
+  if (data.component) component.component = create(data.component);
+  return component;
+}
+
+module.exports = {
+  SELECT_TYPES,
+  flatten,
+  create,
+};
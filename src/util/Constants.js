@@ -0,0 +1,198 @@
+/**
+ * Gateway close codes and how the client should react to each of them.
+ * `reconnect` is false for codes where retrying can never succeed, and
+ * `resume` is false when the old session can't be picked back up.
+ * @see https://discord.com/developers/docs/topics/opcodes-and-status-codes#gateway-gateway-close-event-codes
+ * @type {Object<number, {name: string, description: string, reconnect: boolean, resume: boolean}>}
+ */
+const GatewayCloseCodes = {
+  4000: {
+    name: "UNKNOWN_ERROR",
+    description: "Unknown error",
+    reconnect: true,
+    resume: true,
+  },
+  4001: {
+    name: "UNKNOWN_OPCODE",
+    description: "Unknown opcode",
+    reconnect: true,
+    resume: true,
+  },
+  4002: {
+    name: "DECODE_ERROR",
+    description: "Decode error",
+    reconnect: true,
+    resume: true,
+  },
+  4003: {
+    name: "NOT_AUTHENTICATED",
+    description: "Not authenticated",
+    reconnect: true,
+    resume: false,
+  },
+  4004: {
+    name: "AUTHENTICATION_FAILED",
+    description: "Authentication failed",
+    reconnect: false,
+    resume: false,
+  },
+  4005: {
+    name: "ALREADY_AUTHENTICATED",
+    description: "Already authenticated",
+    reconnect: true,
+    resume: true,
+  },
+  4007: {
+    name: "INVALID_SEQ",
+    description: "Invalid sequence number",
+    reconnect: true,
+    resume: false,
+  },
+  4008: {
+    name: "RATE_LIMITED",
+    description: "Rate limited",
+    reconnect: true,
+    resume: true,
+  },
+  4009: {
+    name: "SESSION_TIMED_OUT",
+    description: "Session timed out",
+    reconnect: true,
+    resume: false,
+  },
+  4010: {
+    name: "INVALID_SHARD",
+    description: "Invalid shard",
+    reconnect: false,
+    resume: false,
+  },
+  4011: {
+    name: "SHARDING_REQUIRED",
+    description: "Sharding required",
+    reconnect: false,
+    resume: false,
+  },
+  4012: {
+    name: "INVALID_API_VERSION",
+    description: "Invalid API version",
+    reconnect: false,
+    resume: false,
+  },
+  4013: {
+    name: "INVALID_INTENTS",
+    description: "Invalid intents",
+    reconnect: false,
+    resume: false,
+  },
+  4014: {
+    name: "DISALLOWED_INTENTS",
+    description: "Disallowed intents",
+    reconnect: false,
+    resume: false,
+  },
+};
+
+/**
+ * Default WebSocket options, merged with `options.ws` by the Client
+ * @type {object}
+ */
+const DefaultWebSocketOptions = {
+  gateway: "wss://gateway.discord.gg",
+  maxReconnectAttempts: 5,
+  reconnectDelay: 1000,
+  maxReconnectDelay: 30000,
+  resetReconnectAttempts: true,
+  compress: false,
+  recorder: null,
+};
+
+/**
+ * Default HTTP endpoints, merged with `options.http` by the Client
+ * @type {object}
+ */
+const DefaultHttpOptions = {
+  api: "https://discord.com/api",
+  cdn: "https://cdn.discordapp.com",
+};
+
+/**
+ * Default cache policy, merged with `options.cache` by the Client.
+ * Lifetimes and the sweep interval are in milliseconds; a lifetime of 0 never expires entries.
+ * @type {object}
+ */
+const DefaultCacheOptions = {
+  messages: { maxSize: 200, lifetime: 0 },
+  guilds: { maxSize: Infinity, lifetime: 0 },
+  channels: { maxSize: Infinity, lifetime: 0 },
+  members: { maxSize: Infinity, lifetime: 0 },
+  presences: { maxSize: Infinity, lifetime: 0 },
+  sweepInterval: 60000,
+};
+
+/**
+ * Default send pacing, used when `options.pacing` is enabled.
+ * Times are in milliseconds; a word is 5 characters.
+ * @type {object}
+ */
+const DefaultPacingOptions = {
+  wordsPerMinute: 80,
+  jitter: 0.25,
+  minTypingTime: 800,
+  maxTypingTime: 12000,
+  minGap: 0,
+};
+
+/**
+ * How often to resend the typing indicator while typing, in milliseconds. Discord
+ * shows it for about 10 seconds, so refresh it a bit earlier
+ * @type {number}
+ */
+const TYPING_REFRESH_INTERVAL = 8000;
+
+/**
+ * Message and modal component types
+ * @see https://discord.com/developers/docs/components/reference#component-object-component-types
+ * @type {Object<string, number>}
+ */
+const ComponentTypes = {
+  ACTION_ROW: 1,
+  BUTTON: 2,
+  STRING_SELECT: 3,
+  TEXT_INPUT: 4,
+  USER_SELECT: 5,
+  ROLE_SELECT: 6,
+  MENTIONABLE_SELECT: 7,
+  CHANNEL_SELECT: 8,
+  SECTION: 9,
+  TEXT_DISPLAY: 10,
+  THUMBNAIL: 11,
+  MEDIA_GALLERY: 12,
+  FILE: 13,
+  SEPARATOR: 14,
+  CONTAINER: 17,
+  LABEL: 18,
+};
+
+/**
+ * Button styles
+ * @type {Object<string, number>}
+ */
+const ButtonStyles = {
+  PRIMARY: 1,
+  SECONDARY: 2,
+  SUCCESS: 3,
+  DANGER: 4,
+  LINK: 5,
+  PREMIUM: 6,
+};
+
+module.exports = {
+  GatewayCloseCodes,
+  DefaultWebSocketOptions,
+  DefaultHttpOptions,
+  DefaultCacheOptions,
+  DefaultPacingOptions,
+  TYPING_REFRESH_INTERVAL,
+  ComponentTypes,
+  ButtonStyles,
+};
@@ -0,0 +1,65 @@
+/**
+ * Parse an emoji into its parts
+ * @param {string|object} emoji - A unicode emoji, a `<:name:id>` or `name:id` string, or `{ name, id, animated }`
+ * @returns {{name: string, id: string|null, animated: boolean}} The parsed emoji
+ * @throws {Error} If the emoji is not a non-empty string or an object with a name or ID
+ */
+function parse(emoji) {
+  if (typeof emoji === "object" && emoji !== null) {
+    if (!emoji.name && !emoji.id) {
+      throw new Error(
+        "Invalid emoji. Expected a string or an object with a name or id.",
+      );
+    }
+    return {
+      name: emoji.name,
+      id: emoji.id || null,
+      animated: Boolean(emoji.animated),
+    };
+  }
+
+  if (typeof emoji !== "string" || emoji === "") {
+    throw new Error(
+      "Invalid emoji. Expected a string or an object with a name or id.",
+    );
+  }
+
+  // <:name:id>, <a:name:id>, name:id or a:name:id
+  const match =
+    emoji.match(/^<(a)?:(\w+):(\d+)>$/) || emoji.match(/^(a:)?(\w+):(\d+)$/);
+  if (match) {
+    return { name: match[2], id: match[3], animated: Boolean(match[1]) };
+  }
+  return { name: emoji, id: null, animated: false };
+}
+
+/**
+ * Format an emoji for REST routes: the unicode emoji or `name:id`, URL encoded
+ * @param {string|object} emoji - Any emoji accepted by {@link parse}
+ * @returns {string} The encoded emoji
+ */
+function encode(emoji) {
+  const { name, id } = parse(emoji);
+  // e.g. 😀 -> %F0%9F%98%80, or custom:123 -> custom%3A123
+  return encodeURIComponent(id ? `${name}:${id}` : name);
+}
+
+/**
+ * Whether two emojis are the same: custom emojis match by ID, unicode emojis by name
+ * @param {string|object} a - Any emoji accepted by {@link parse}
+ * @param {string|object} b - Any emoji accepted by {@link parse}
+ * @returns {boolean} True if they are the same emoji
+ */
+function equals(a, b) {
+  const first = parse(a);
+  const second = parse(b);
+  return first.id || second.id
+    ? first.id === second.id
+    : first.name === second.name;
+}
+
+module.exports = {
+  parse,
+  encode,
+  equals,
+};
@@ -0,0 +1,244 @@
+const InteractionError = require("../classes/InteractionError");
+const Snowflake = require("./Snowflake");
+
+// Message flags
+const EPHEMERAL = 1 << 6;
+const LOADING = 1 << 7; // Deferred "Bot is thinking..." response
+
+/**
+ * Follows interactions sent by the client to their outcome. Interactions are matched by
+ * nonce to INTERACTION_CREATE, INTERACTION_SUCCESS and INTERACTION_FAILURE, then to the
+ * bot's response: a message, an update of the message the component was on, or a modal.
+ */
+class InteractionTracker {
+  /**
+   * Create a new InteractionTracker instance
+   * @param {Client} client - The Discord client
+   */
+  constructor(client) {
+    this.client = client;
+    this.pending = new Map(); // nonce -> pending interaction
+    this.logger = client.logger.child("interactions");
+  }
+
+  /**
+   * Send an interaction and wait for its outcome
+   * @param {Function} send - Called with a fresh nonce, sends the interaction and returns a promise
+   * @param {object} [options={}] - Tracking options, see {@link InteractionTracker#track}
+   * @returns {Promise<object>} The outcome, see {@link InteractionTracker#track}
+   * @throws {InteractionError} If the interaction fails or gets no answer in time
+   */
+  async run(send, options = {}) {
+    const nonce = Snowflake.generate();
+    // Track before sending: the gateway can answer before the REST call returns
+    const outcome = this.track(nonce, options);
+    // It may also fail before then, so don't let that count as unhandled
+    outcome.catch(() => {});
+    try {
+      await send(nonce);
+    } catch (error) {
+      this.cancel(nonce);
+      throw error;
+    }
+    return await outcome;
+  }
+
+  /**
+   * Wait for the outcome of an interaction sent with a nonce
+   * @param {string} nonce - The nonce the interaction is sent with
+   * @param {object} [options={}] - Tracking options
+   * @param {number} [options.time=15000] - How long to wait for the outcome, in ms. A deferred response
+   * that isn't completed by then resolves as deferred
+   * @param {number} [options.responseTime=2000] - How long to wait for a response message after
+   * INTERACTION_SUCCESS, in ms, before resolving without one
+   * @param {string} [options.messageId] - The message a component was used on, whose update counts as the response
+   * @returns {Promise<object>} `{ id, nonce, message, modal, deferred, ephemeral }`, where `message` is the
+   * bot's response message (or the updated component message) and `modal` the {@link Modal} it opened, each null if absent
+   * @throws {InteractionError} If the interaction fails or gets no answer in time
+   */
+  track(nonce, options = {}) {
+    const { time = 15000, responseTime = 2000, messageId = null } = options;
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        nonce,
+        id: null,
+        messageId,
+        responseTime,
+        succeeded: false,
+        deferred: null, // The deferred response message, until it's completed
+        responseTimeout: null,
+        resolve,
+        reject,
+      };
+      entry.timeout = setTimeout(() => {
+        if (entry.deferred) {
+          this.settle(entry, { message: entry.deferred });
+          return;
+        }
+        this.fail(
+          entry,
+          new InteractionError(
+            `Interaction ${nonce} got no answer in time`,
+            "timeout",
+            nonce,
+            entry.id,
+          ),
+        );
+      }, time);
+      this.pending.set(nonce, entry);
+    });
+  }
+
+  /**
+   * Stop tracking an interaction without settling it
+   * @param {string} nonce - The interaction's nonce
+   * @returns {void}
+   */
+  cancel(nonce) {
+    const entry = this.pending.get(nonce);
+    if (!entry) return;
+    this.clear(entry);
+  }
+
+  /**
+   * Handle INTERACTION_CREATE
+   * @param {object} data - The dispatch data
+   * @returns {void}
+   * @private
+   */
+  _handleCreate(data) {
+    const entry = this.pending.get(data.nonce);
+    if (entry) entry.id = data.id;
+  }
+
+  /**
+   * Handle INTERACTION_SUCCESS
+   * @param {object} data - The dispatch data
+   * @returns {void}
+   * @private
+   */
+  _handleSuccess(data) {
+    const entry = this.pending.get(data.nonce);
+    if (!entry) return;
+
+    entry.id = entry.id || data.id;
+    entry.succeeded = true;
+    // Bots that only acknowledge (e.g. a deferred update) never send a message
+    if (!entry.deferred && !entry.responseTimeout) {
+      entry.responseTimeout = setTimeout(
+        () => this.settle(entry, {}),
+        entry.responseTime,
+      );
+    }
+  }
+
+  /**
+   * Handle INTERACTION_FAILURE
+   * @param {object} data - The dispatch data
+   * @returns {void}
+   * @private
+   */
+  _handleFailure(data) {
+    const entry = this.pending.get(data.nonce);
+    if (!entry) return;
+
+    this.fail(
+      entry,
+      new InteractionError(
+        `Interaction ${data.nonce} failed`,
+        "failure",
+        data.nonce,
+        data.id || entry.id,
+        data.reason_code ?? null,
+      ),
+    );
+  }
+
+  /**
+   * Handle INTERACTION_MODAL_CREATE
+   * @param {Modal} modal - The modal built from the dispatch data
+   * @returns {void}
+   * @private
+   */
+  _handleModal(modal) {
+    const entry = this.pending.get(modal.nonce);
+    if (!entry) return;
+
+    entry.id = entry.id || modal.id;
+    this.settle(entry, { modal });
+  }
+
+  /**
+   * Check whether a created or updated message answers a pending interaction
+   * @param {Message} message - The message
+   * @param {boolean} updated - Whether it came from MESSAGE_UPDATE
+   * @returns {void}
+   * @private
+   */
+  _handleMessage(message, updated) {
+    if (this.pending.size === 0) return;
+
+    const metadata =
+      message.data.interaction_metadata || message.data.interaction;
+    for (const entry of this.pending.values()) {
+      const answers =
+        (entry.id && metadata && metadata.id === entry.id) ||
+        (entry.deferred && entry.deferred.id === message.id) ||
+        (updated && entry.id && entry.messageId === message.id);
+      if (!answers) continue;
+
+      if ((message.data.flags || 0) & LOADING) {
+        // "Bot is thinking...": wait for the follow-up edit
+        entry.deferred = message;
+        clearTimeout(entry.responseTimeout);
+        entry.responseTimeout = null;
+        return;
+      }
+      this.settle(entry, { message, wasDeferred: Boolean(entry.deferred) });
+      return;
+    }
+  }
+
+  /**
+   * Resolve a pending interaction
+   * @private
+   */
+  settle(entry, { message = null, modal = null, wasDeferred = false }) {
+    this.clear(entry);
+    const flags = message ? message.data.flags || 0 : 0;
+    entry.resolve({
+      id: entry.id,
+      nonce: entry.nonce,
+      message,
+      modal,
+      deferred: wasDeferred || Boolean(flags & LOADING),
+      ephemeral: Boolean(flags & EPHEMERAL),
+    });
+  }
+
+  /**
+   * Reject a pending interaction
+   * @private
+   */
+  fail(entry, error) {
+    this.clear(entry);
+    this.logger.debug(error.message, {
+      nonce: entry.nonce,
+      reason: error.reason,
+    });
+    entry.reject(error);
+  }
+
+  /**
+   * Forget a pending interaction
+   * @private
+   */
+  clear(entry) {
+    clearTimeout(entry.timeout);
+    clearTimeout(entry.responseTimeout);
+    this.pending.delete(entry.nonce);
+  }
+}
+
+module.exports = InteractionTracker;
@@ -0,0 +1,69 @@
+/**
+ * A Map with an optional maximum size that remembers when each entry was last set.
+ * Once full, setting a new key evicts the oldest entry.
+ * @extends Map
+ */
+class LimitedMap extends Map {
+  /**
+   * Create a new LimitedMap
+   * @param {number} [maxSize=Infinity] - Maximum number of entries, 0 disables caching
+   */
+  constructor(maxSize = Infinity) {
+    super();
+    this.maxSize = maxSize;
+    this.timestamps = new Map(); // key -> last time the entry was set
+  }
+
+  /**
+   * Set an entry, evicting the oldest one if the map is full
+   * @param {*} key - The key
+   * @param {*} value - The value
+   * @returns {LimitedMap} This map
+   */
+  set(key, value) {
+    if (this.maxSize <= 0) return this;
+
+    if (!this.has(key) && this.size >= this.maxSize) {
+      this.delete(this.keys().next().value);
+    }
+    this.timestamps.set(key, Date.now());
+    return super.set(key, value);
+  }
+
+  /**
+   * Delete an entry
+   * @param {*} key - The key
+   * @returns {boolean} Whether an entry was removed
+   */
+  delete(key) {
+    this.timestamps.delete(key);
+    return super.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {void}
+   */
+  clear() {
+    this.timestamps.clear();
+    super.clear();
+  }
+
+  /**
+   * Remove the entries matching a filter
+   * @param {Function} filter - Called with (value, key, lastSet), entries returning true are removed
+   * @returns {number} The number of removed entries
+   */
+  sweep(filter) {
+    let removed = 0;
+    for (const [key, value] of this) {
+      if (filter(value, key, this.timestamps.get(key))) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = LimitedMap;
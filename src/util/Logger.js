@@ -0,0 +1,111 @@
+/**
+ * Log levels in increasing order of severity
+ * @type {string[]}
+ */
+const LEVELS = ["debug", "info", "warn", "error"];
+
+/**
+ * Structured logger used internally by the library.
+ *
+ * Every record is emitted as a `debug` event on the emitter (usually the Client)
+ * and forwarded to the user-supplied logger, if any. Without either, logging is a no-op.
+ */
+class Logger {
+  /**
+   * Create a new Logger
+   * @param {object} [options={}] - Logger options
+   * @param {Function|object} [options.logger] - A function receiving each record, or an object with
+   * `debug`/`info`/`warn`/`error` methods called as `logger[level](metadata, message)` (pino style)
+   * @param {EventEmitter} [options.emitter] - Emitter that receives `debug` events with each record
+   * @param {string} [options.subsystem="client"] - Name of the subsystem producing the records
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || null;
+    this.emitter = options.emitter || null;
+    this.subsystem = options.subsystem || "client";
+  }
+
+  /**
+   * Create a logger for another subsystem sharing the same outputs
+   * @param {string} subsystem - The subsystem name
+   * @returns {Logger} The new logger
+   */
+  child(subsystem) {
+    return new Logger({
+      logger: this.logger,
+      emitter: this.emitter,
+      subsystem,
+    });
+  }
+
+  /**
+   * Log a record
+   * @param {string} level - One of debug, info, warn or error
+   * @param {string} message - Human readable message
+   * @param {object} [metadata={}] - Structured data attached to the record
+   * @returns {void}
+   */
+  log(level, message, metadata = {}) {
+    const record = {
+      level,
+      subsystem: this.subsystem,
+      message,
+      metadata,
+      timestamp: Date.now(),
+    };
+
+    if (this.emitter && this.emitter.listenerCount("debug") > 0) {
+      this.emitter.emit("debug", record);
+    }
+
+    if (typeof this.logger === "function") {
+      this.logger(record);
+    } else if (this.logger && typeof this.logger[level] === "function") {
+      this.logger[level]({ subsystem: this.subsystem, ...metadata }, message);
+    }
+  }
+
+  /**
+   * Log a debug record
+   * @param {string} message - The message
+   * @param {object} [metadata] - Structured data
+   * @returns {void}
+   */
+  debug(message, metadata) {
+    this.log("debug", message, metadata);
+  }
+
+  /**
+   * Log an info record
+   * @param {string} message - The message
+   * @param {object} [metadata] - Structured data
+   * @returns {void}
+   */
+  info(message, metadata) {
+    this.log("info", message, metadata);
+  }
+
+  /**
+   * Log a warning record
+   * @param {string} message - The message
+   * @param {object} [metadata] - Structured data
+   * @returns {void}
+   */
+  warn(message, metadata) {
+    this.log("warn", message, metadata);
+  }
+
+  /**
+   * Log an error record
+   * @param {string} message - The message
+   * @param {object} [metadata] - Structured data
+   * @returns {void}
+   */
+  error(message, metadata) {
+    this.log("error", message, metadata);
+  }
+}
+
+Logger.LEVELS = LEVELS;
+
+module.exports = Logger;
@@ -0,0 +1,53 @@
+/**
+ * 32-bit MurmurHash3 (x86), as used by Discord clients to name member lists
+ * @param {string} text - The text to hash, encoded as UTF-8
+ * @param {number} [seed=0] - The seed
+ * @returns {number} The unsigned 32-bit hash
+ */
+function murmurhash3(text, seed = 0) {
+  const bytes = Buffer.from(text, "utf8");
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const blocks = bytes.length - (bytes.length % 4);
+  let hash = seed >>> 0;
+
+  for (let index = 0; index < blocks; index += 4) {
+    let k = bytes.readUInt32LE(index);
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, c2);
+
+    hash ^= k;
+    hash = (hash << 13) | (hash >>> 19);
+    hash = (Math.imul(hash, 5) + 0xe6546b64) | 0;
+  }
+
+  // Remaining 1-3 bytes
+  let k = 0;
+  switch (bytes.length & 3) {
+    case 3:
+      k ^= bytes[blocks + 2] << 16;
+    // falls through
+    case 2:
+      k ^= bytes[blocks + 1] << 8;
+    // falls through
+    case 1:
+      k ^= bytes[blocks];
+      k = Math.imul(k, c1);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, c2);
+      hash ^= k;
+  }
+
+  hash ^= bytes.length;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+module.exports = {
+  murmurhash3,
+};
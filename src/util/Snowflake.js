@@ -0,0 +1,32 @@
+/**
+ * Discord epoch (2015-01-01T00:00:00.000Z) in milliseconds
+ * @type {bigint}
+ */
+const DISCORD_EPOCH = 1420070400000n;
+
+let increment = 0n;
+
+/**
+ * Generate a snowflake for the given timestamp, like Discord clients do for nonces
+ * @param {number} [timestamp=Date.now()] - Timestamp in milliseconds
+ * @returns {string} The generated snowflake
+ */
+function generate(timestamp = Date.now()) {
+  increment = (increment + 1n) & 0xfffn;
+  return (((BigInt(timestamp) - DISCORD_EPOCH) << 22n) | increment).toString();
+}
+
+/**
+ * Get the creation timestamp of a snowflake
+ * @param {string} id - The snowflake
+ * @returns {number} Timestamp in milliseconds
+ */
+function timestampFrom(id) {
+  return Number((BigInt(id) >> 22n) + DISCORD_EPOCH);
+}
+
+module.exports = {
+  DISCORD_EPOCH,
+  generate,
+  timestampFrom,
+};
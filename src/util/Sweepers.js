@@ -0,0 +1,100 @@
+/**
+ * Periodically evicts stale guilds, channels, members, presences and messages from the client's caches,
+ * according to the `cache` client option.
+ */
+class Sweepers {
+  /**
+   * Create a new Sweepers instance
+   * @param {Client} client - The Discord client
+   * @param {object} options - The client's cache options
+   */
+  constructor(client, options) {
+    this.client = client;
+    this.options = options;
+    this.interval = null;
+    this.logger = client.logger.child("cache");
+  }
+
+  /**
+   * Start sweeping on the configured interval, if any sweeping is configured
+   * @returns {void}
+   */
+  start() {
+    this.stop();
+
+    const { messages, guilds, channels, members, presences, sweepInterval } =
+      this.options;
+    const enabled = [messages, guilds, channels, members, presences].some(
+      (policy) => policy.lifetime > 0 || typeof policy.filter === "function",
+    );
+    if (!enabled || !(sweepInterval > 0)) return;
+
+    this.interval = setInterval(() => this.sweep(), sweepInterval);
+    // Sweeping alone shouldn't keep the process alive
+    this.interval.unref();
+  }
+
+  /**
+   * Stop sweeping
+   * @returns {void}
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Sweep every cache once
+   * @returns {{guilds: number, channels: number, members: number, presences: number, messages: number}} How many entries were removed
+   */
+  sweep() {
+    const result = {
+      guilds: this.sweepCache(this.client.guilds, this.options.guilds),
+      channels: this.sweepCache(this.client.channels, this.options.channels),
+      members: 0,
+      presences: this.sweepCache(this.client.presences, this.options.presences),
+      messages: 0,
+    };
+
+    for (const guild of this.client.guilds.values()) {
+      result.members += this.sweepCache(guild.members, this.options.members);
+      result.presences += this.sweepCache(
+        guild.presences,
+        this.options.presences,
+      );
+    }
+
+    for (const channel of this.client.channels.values()) {
+      result.messages += this.sweepCache(
+        channel.messages,
+        this.options.messages,
+      );
+    }
+
+    if (Object.values(result).some((count) => count > 0)) {
+      this.logger.debug("Swept caches", result);
+    }
+    return result;
+  }
+
+  /**
+   * Sweep a single cache
+   * @private
+   */
+  sweepCache(cache, policy) {
+    const hasLifetime = policy.lifetime > 0;
+    const hasFilter = typeof policy.filter === "function";
+    if (!hasLifetime && !hasFilter) return 0;
+
+    const cutoff = Date.now() - policy.lifetime;
+    return cache.sweep(
+      (value, key, lastSet) =>
+        (hasLifetime && lastSet < cutoff) ||
+        (hasFilter && policy.filter(value, key)),
+    );
+  }
+}
+
+module.exports = Sweepers;